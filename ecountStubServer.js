@@ -0,0 +1,63 @@
+/**
+ * 이카운트 OpenAPI 로컬 스텁 서버
+ * - /OAPI/V2/Zone, /OAPI/V2/OAPILogin, /OAPI/V2/Sale/SaveSale 만 흉내냄
+ * - 품목코드(PROD_CD)가 비었거나 'FAIL' 로 시작하는 라인은 실패로 응답
+ * - 실제 이카운트에 전표를 만들지 않고 API 전송 흐름을 확인할 때 사용
+ *
+ * 사용:
+ *   node ecountStubServer.js            (기본 포트 8089)
+ *   서버 .env 에 ECOUNT_API_BASE_URL=http://localhost:8089 + ECOUNT_COM_CODE / USER_ID / API_CERT_KEY 아무 값
+ */
+const express = require('express');
+
+const PORT = process.env.ECOUNT_STUB_PORT || 8089;
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+
+const sessions = new Set();
+let slipSeq = 0;
+
+app.post('/OAPI/V2/Zone', (req, res) => {
+    res.json({ Status: '200', Data: { ZONE: 'STUB', DOMAIN: '.ecount.com' } });
+});
+
+app.post('/OAPI/V2/OAPILogin', (req, res) => {
+    const { COM_CODE, USER_ID, API_CERT_KEY } = req.body || {};
+    if (!COM_CODE || !USER_ID || !API_CERT_KEY) {
+        return res.json({ Status: '200', Data: { Code: '204', Datas: null, Message: '인증 정보 누락' } });
+    }
+    const sessionId = `STUB-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    sessions.add(sessionId);
+    res.json({ Status: '200', Data: { Code: '00', Datas: { SESSION_ID: sessionId } } });
+});
+
+app.post('/OAPI/V2/Sale/SaveSale', (req, res) => {
+    if (!sessions.has(req.query.SESSION_ID)) {
+        return res.json({ Status: '401', Error: { Code: 401, Message: 'Session expired' } });
+    }
+    const list = (req.body && req.body.SaleList) || [];
+    const details = list.map(({ BulkDatas: d = {} }) => {
+        const prodCd = String(d.PROD_CD || '');
+        if (!prodCd || prodCd.startsWith('FAIL')) {
+            return { IsSuccess: false, TotalError: '품목코드 오류', Errors: [{ ColCd: 'PROD_CD', Message: `존재하지 않는 품목코드 (${prodCd || '빈값'})` }] };
+        }
+        return { IsSuccess: true, TotalError: '', Errors: [] };
+    });
+
+    // 성공 라인의 전표 순서(UPLOAD_SER_NO)별로 전표번호 발급
+    const slipNos = [];
+    const seen = new Set();
+    list.forEach(({ BulkDatas: d = {} }, i) => {
+        if (!details[i].IsSuccess || seen.has(d.UPLOAD_SER_NO)) return;
+        seen.add(d.UPLOAD_SER_NO);
+        slipNos.push(`${d.IO_DATE}-${++slipSeq}`);
+    });
+
+    const successCnt = details.filter(d => d.IsSuccess).length;
+    res.json({
+        Status: '200',
+        Data: { SuccessCnt: successCnt, FailCnt: details.length - successCnt, ResultDetails: details, SlipNos: slipNos }
+    });
+});
+
+app.listen(PORT, () => console.log(`🧪 이카운트 스텁 서버 실행: http://localhost:${PORT}`));
@@ -3,7 +3,25 @@ const cors = require("cors");
 const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const { MongoClient, ObjectId } = require("mongodb");
+const { buildEcountSaleLines, buildEcountSalesWorkbook, toKSTDateCode, DEFAULT_WAREHOUSE_CODE } = require("./utils/ecountSheet");
+const { createEcountClient, summarizeByOrder } = require("./utils/ecountApi");
+const { extractOrderRef, parseAmount, pickUniqueMatch } = require("./utils/syncMatcher");
+const { validateOrderPayload, checkOrderTotal } = require("./utils/orderSchema");
+const { ORDER_STATUS, applyOrderTransition, recordOrderEvents: recordOrderEventsTo } = require("./utils/orderStateMachine");
+const { issueToken, verifyToken, extractBearerToken, extractApiKey, verifyApiKey } = require("./utils/authToken");
+const { hashPassword, verifyPassword } = require("./utils/passwordHash");
+const { ROLES, findRoutePermission, hasPermission, isStoreBoundRole, isHardDelete } = require("./utils/permissions");
+const { MASTER_TYPES, stripSystemFields, validateMasterRecord, validateMasterImport, diffMasterRecords } = require("./utils/masterData");
+const { DEFAULT_WORK_POLICY, buildHolidayMap, normalizeWorkPolicy, resolveStandardHours } = require("./utils/workCalendar");
+const { computeLeaveBalance } = require("./utils/annualLeave");
+const { checkManagerCompliance, complianceQueryRange } = require("./utils/workCompliance");
+const { calcNightHours, buildTimesheet, buildTimesheetWorkbook } = require("./utils/timesheet");
+const { REQUEST_STATUS, REQUEST_TYPES, canTransitionRequest, validateWorkRequest, toScheduleInput, requestLogEntry } = require("./utils/workRequests");
+const { validateShiftPlan, planGrossHours, mapWeekDates, computeShiftVariance } = require("./utils/shiftPlan");
+const { computeStoreCoverage } = require("./utils/coverage");
+const { addMonth, lastDateOfMonth, buildFlexLedger } = require("./utils/flexLedger");
 require("dotenv").config();
 
 // ==========================================
@@ -28,10 +46,19 @@ app.use(cors({
         }
     },
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'], 
-    allowedHeaders: ['Content-Type', 'Authorization', 'userid', 'Cache-Control', 'Pragma'], 
+    allowedHeaders: ['Content-Type', 'Authorization', 'userid', 'Cache-Control', 'Pragma', 'Idempotency-Key', 'X-Api-Key'], 
+    exposedHeaders: ['Content-Disposition', 'X-Unmatched-Item-Count'],
     credentials: true 
 }));
 app.use(express.json());
+
+// 🔐 전역 권한 가드 — utils/permissions.js 라우트 표에 있는 요청만 세션 토큰 + 역할 검사
+//    각 라우트에도 requirePermission 을 직접 붙임 (표와 라우트 정의가 어긋나도 인증이 빠지지 않도록 2중)
+app.use((req, res, next) => {
+    const permission = findRoutePermission(req);
+    if (!permission) return next();
+    requirePermission(permission)(req, res, next);
+});
 app.use(express.urlencoded({ extended: true }));
 
 // ==========================================
@@ -51,16 +78,45 @@ const COLLECTION_AUTH = "authSettings";
 const COLLECTION_COUPON_MAP = "couponProductMap";
 const COLLECTION_DELIVERIES = "deliveryShipments";  // 🚚 출하 매핑용
 const COLLECTION_WORK_HOURS = "workHours";          // 🕐 매니저 근무·시차 관리
+const COLLECTION_WORK_POLICY = "workPolicy";        // 🗓️ 근무 정책 캘린더 (요일별 / 공휴일 / 날짜별 기준시간)
+const COLLECTION_WORK_REQUESTS = "workRequests";    // 🗳️ 시차사용 / 연차 신청·승인
+const COLLECTION_SHIFT_PLANS = "shiftPlans";        // 📋 근무 계획표 (예정 근무, 실제 기록과 분리)
+const COLLECTION_PUNCH_EVENTS = "punchEvents";      // ⏱️ 매장 태블릿 출퇴근 기록 (서버 시각, 원본 보존)
+const COLLECTION_PUNCH_CORRECTIONS = "punchCorrections"; // ⏱️ 출퇴근 시각 정정 신청·승인
+const COLLECTION_FLEX_CLOSES = "flexCloses";        // 📒 시차 월말 마감 기록 (월별 1건)
+const COLLECTION_WORK_HOURS_LOCKS = "workHoursLocks"; // 🔒 급여 마감 월 잠금 (월별 1건)
+const COLLECTION_EXCEL_FILES = "ecountExcelFiles";  // 📄 배치별 이카운트 판매입력 엑셀 스냅샷
+const COLLECTION_ORDER_EVENTS = "orderEvents";      // 🧾 주문 상태 전이 이력 (감사 로그)
+const COLLECTION_ECOUNT_SUBMISSIONS = "ecountApiSubmissions"; // 🔌 이카운트 OpenAPI 전송 기록
+const COLLECTION_MASTER_VERSIONS = "masterDataVersions"; // 🗂️ 매장/창고/담당자 마스터 변경 이력 (스냅샷)
+const COLLECTION_COUNTERS = "counters";             // 🔢 주문번호 일련번호 (매장 접두어 + 일자별)
 
 // 🚚 배송완료 추정 일수 (출하 후 N일 경과 시 자동 '배송완료'로 표시)
 const DELIVERY_ESTIMATE_DAYS = 3;
 
 // 🕐 근무 관리 정책
-const WORK_STANDARD_HOURS  = 8;    // 일 표준 근무시간 (평일 기준, 호환용)
 const WORK_BREAK_MINUTES   = 60;   // 점심시간 자동 차감
-// 🆕 기준 근무시간 — 평일·주말 무관 8h 고정
-function getStandardHoursByDate(/* dateStr */) {
-    return WORK_STANDARD_HOURS;
+
+// 🆕 공휴일 (대체·임시공휴일 포함) — KOREAN_HOLIDAYS.json, 매년 수동 갱신
+const KOREAN_HOLIDAYS = (() => {
+    try {
+        return buildHolidayMap(JSON.parse(fs.readFileSync(path.join(__dirname, 'KOREAN_HOLIDAYS.json'), 'utf-8')));
+    } catch (e) {
+        console.error("⚠️ KOREAN_HOLIDAYS.json 로드 실패 — 공휴일 없이 요일 기준으로 계산:", e.message);
+        return new Map();
+    }
+})();
+
+// 🆕 근무 정책 캘린더 (서버 시작 시 workPolicy 컬렉션에서 로드, PUT /api/work-hours/policy 로 변경)
+//   기본값은 요일 무관 8h — 요일별 / 공휴일 / 날짜별 기준시간은 정책에서 설정
+let workPolicy = DEFAULT_WORK_POLICY;
+
+// 🆕 급여 마감으로 잠긴 달('YYYY-MM') — 서버 시작 시 workHoursLocks 에서 로드, lock/unlock 으로 갱신
+let lockedMonths = new Set();
+
+// 회사 기준시간 (담당자 계약시간 미반영 — 담당자별은 resolveManagerStandardHours)
+function getStandardHoursByDate(dateStr) {
+    return resolveStandardHours(dateStr, { policy: workPolicy, holidays: KOREAN_HOLIDAYS }).hours;
 }
 
 const CAFE24_MALLID = process.env.CAFE24_MALLID;
@@ -73,24 +129,66 @@ const BIZM_PROFILE_KEY = process.env.BIZM_PROFILE_KEY;
 const BIZM_SENDER_PHONE = process.env.BIZM_SENDER_PHONE;
 const MY_DOMAIN = process.env.MY_DOMAIN || "https://yogibo.kr"; 
 
+// 🔐 세션 토큰 서명 키 (미설정 시 부팅마다 임시 키 → 서버 재시작 후 재로그인 필요)
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const AUTH_TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+// 🔐 이카운트 매크로 서비스 키 — 매크로는 X-Api-Key 헤더로 전송 (미설정 시 매크로 결과 반영은 본사 로그인 세션만 가능)
+const ECOUNT_MACRO_API_KEY = process.env.ECOUNT_MACRO_API_KEY || null;
+// 🔐 로그인 실패 잠금: 매장 계정 / 통합 PIN 각각 N회 연속 실패 시 M분 잠금
+const LOGIN_MAX_FAILED_ATTEMPTS = 5;
+const LOGIN_LOCK_MINUTES = 15;
+
+// 🔌 이카운트 OpenAPI (미설정 시 API 전송 비활성 — 기존 엑셀+매크로 방식만 사용)
+const ECOUNT_COM_CODE = process.env.ECOUNT_COM_CODE;
+const ECOUNT_USER_ID = process.env.ECOUNT_USER_ID;
+const ECOUNT_API_CERT_KEY = process.env.ECOUNT_API_CERT_KEY;
+const ECOUNT_ZONE = process.env.ECOUNT_ZONE;                   // 미지정 시 Zone API 로 조회
+const ECOUNT_API_BASE_URL = process.env.ECOUNT_API_BASE_URL;   // 지정 시 Zone 조회 생략 (로컬 스텁 서버 등)
+
 let db;
+let mongoClient;   // 🆕 트랜잭션 세션용 (마스터 데이터 일괄 교체)
+let transactionsSupported = false;   // 🆕 레플리카셋/샤드 클러스터일 때만 true (단일 서버 MongoDB 는 트랜잭션 불가)
 let accessToken = process.env.ACCESS_TOKEN;
 let refreshToken = process.env.REFRESH_TOKEN;
 
 // ==========================================
-// [2-1] 🆕 주문 상태 머신 상수
+// [2-1] 🆕 주문 상태 머신 (ORDER_STATUS / 허용 전이표는 utils/orderStateMachine.js)
 // ==========================================
-const ORDER_STATUS = {
-    PENDING:   'PENDING',    // 신규 주문 (미전송)
-    EXPORTED:  'EXPORTED',   // 엑셀 다운로드됨, 이카운트 결과 미확인 (확정 대기)
-    CONFIRMED: 'CONFIRMED',  // 이카운트 등록 확정 (전송완료)
-    FAILED:    'FAILED'      // 이카운트 거절됨 (등록 실패)
-};
 
 // 🆕 자동 복구 설정: EXPORTED 상태로 N분 이상 방치 시 PENDING으로 자동 복구
 // (매크로 최대 재시도 4분 + 버퍼 4분 = 8분, 매크로 진행 중 잘못 복구되는 중복 등록 방지)
 const AUTO_REQUEUE_STALE_MINUTES = 8;
 
+// 🆕 요청 주체 식별 (세션 토큰 → userid 헤더 → body.actor 순, 없으면 'anonymous')
+function getActor(req) {
+    if (req.auth && req.auth.sub) return req.auth.sub;
+    const fromHeader = req.headers && req.headers['userid'];
+    const fromBody = req.body && req.body.actor;
+    return String(fromHeader || fromBody || 'anonymous');
+}
+
+// 🆕 주문 상태 전이 이력 기록 (orderEvents) — 상태 머신 밖에서 생기는 이벤트(신규 생성 등)용
+async function recordOrderEvents(orders, toStatus, meta = {}) {
+    if (!db) return;
+    await recordOrderEventsTo(db.collection(COLLECTION_ORDER_EVENTS), orders, toStatus, meta);
+}
+
+/**
+ * 🆕 상태 전이 실행 — 모든 status 변경은 이 함수를 통해서만 수행
+ * - 허용되지 않은 전이는 result.error 와 함께 rejected 목록 반환 (라우트에서 409 응답)
+ */
+function transitionOrders(params) {
+    return applyOrderTransition(
+        { orders: db.collection(COLLECTION_ORDERS), events: db.collection(COLLECTION_ORDER_EVENTS) },
+        params
+    );
+}
+
+// 🆕 불법 전이 응답 (409 Conflict)
+function sendTransitionConflict(res, result) {
+    return res.status(409).json({ success: false, message: result.error, rejected: result.rejected });
+}
+
 // ==========================================
 // [3] 서버 시작
 // ==========================================
@@ -101,10 +199,14 @@ async function startServer() {
         
         if (!MONGODB_URI) throw new Error("MONGODB_URI is missing in .env");
         if (!CAFE24_MALLID) throw new Error("CAFE24_MALLID is missing in .env");
+        if (!process.env.AUTH_TOKEN_SECRET) console.warn("⚠️ AUTH_TOKEN_SECRET 미설정 — 임시 키 사용 (서버 재시작 시 모든 로그인 만료)");
+        if (!ECOUNT_MACRO_API_KEY) console.warn("⚠️ ECOUNT_MACRO_API_KEY 미설정 — 이카운트 매크로(sync / sync-by-content / mark-exported)가 인증 실패합니다. 키를 설정하고 매크로에 X-Api-Key 헤더로 넣어주세요.");
 
-        const client = await MongoClient.connect(MONGODB_URI);
+        mongoClient = await MongoClient.connect(MONGODB_URI);
         console.log(`✅ MongoDB Connected to [${DB_NAME}]`);
-        db = client.db(DB_NAME);
+        db = mongoClient.db(DB_NAME);
+        transactionsSupported = await detectTransactionSupport();
+        if (!transactionsSupported) console.warn("⚠️ MongoDB 가 레플리카셋이 아님 — 마스터 데이터 변경을 트랜잭션 없이 순서대로 반영합니다. (중간에 실패하면 일부만 반영될 수 있으니 운영 DB 는 레플리카셋 권장)");
 
         try {
             const tokenDoc = await db.collection(COLLECTION_TOKENS).findOne({});
@@ -116,7 +218,9 @@ async function startServer() {
 
         await initializeWarehouseDB(); 
         await initializeGlobalPin(); 
+        await migrateCredentialHashes();
         await seedCollectionFromJSON('ECOUNT_STORES.json', COLLECTION_STORES);
+        await backfillStoreOrderPrefixes();
         await seedCollectionFromJSON('STATIC_MANAGER_LIST.json', COLLECTION_STATIC_MANAGERS);
 
         // 🆕 기존 주문 데이터 status 필드 마이그레이션 (1회성, 안전)
@@ -126,6 +230,8 @@ async function startServer() {
         await ensureOrderIndexes();
         await ensureDeliveryIndexes();
         await ensureWorkHoursIndexes();
+        await loadWorkPolicy();
+        await loadWorkHoursLocks();
 
         app.listen(PORT, () => {
             console.log(`🚀 Server running on port ${PORT}`);
@@ -134,6 +240,7 @@ async function startServer() {
         // 🆕 자동 복구 cron 시작 (서버 시작 후 5초 뒤 첫 실행)
         setTimeout(() => {
             startAutoRequeueCron();
+            startFlexCloseCron();
             // 서버 시작 직후 한 번 즉시 실행 (혹시 다운타임 동안 쌓인 건 처리)
             performAutoRequeue();
         }, 5000);
@@ -144,16 +251,70 @@ async function startServer() {
 }
 startServer();
 
+// 트랜잭션은 레플리카셋(setName) 또는 mongos(isdbgrid) 에서만 가능
+async function detectTransactionSupport() {
+    try {
+        const hello = await db.admin().command({ hello: 1 });
+        return !!(hello.setName || hello.msg === 'isdbgrid');
+    } catch (e) {
+        return false;
+    }
+}
+
 async function initializeGlobalPin() {
     try {
         const count = await db.collection(COLLECTION_AUTH).countDocuments({ type: 'global_pin' });
         if (count === 0) {
-            await db.collection(COLLECTION_AUTH).insertOne({ type: 'global_pin', pinCode: '1111', created_at: new Date() });
+            await db.collection(COLLECTION_AUTH).insertOne({ type: 'global_pin', pin_hash: await hashPassword('1111'), created_at: new Date() });
             console.log("🔑 기본 통합 비밀번호(1111)가 생성되었습니다.");
         }
     } catch (e) {}
 }
 
+// 🆕 평문으로 저장된 매장 비밀번호 / 통합 PIN → scrypt 해시 1회 전환 (이미 전환된 문서는 건너뜀)
+async function migrateCredentialHashes() {
+    try {
+        let migrated = 0;
+        const plainStores = await db.collection(COLLECTION_PIN_DATA).find({ password: { $exists: true } }).toArray();
+        for (const cred of plainStores) {
+            await db.collection(COLLECTION_PIN_DATA).updateOne(
+                { _id: cred._id },
+                { $set: { password_hash: await hashPassword(cred.password) }, $unset: { password: '' } }
+            );
+            migrated++;
+        }
+        const pin = await db.collection(COLLECTION_AUTH).findOne({ type: 'global_pin', pinCode: { $exists: true } });
+        if (pin) {
+            await db.collection(COLLECTION_AUTH).updateOne(
+                { _id: pin._id },
+                { $set: { pin_hash: await hashPassword(pin.pinCode) }, $unset: { pinCode: '' } }
+            );
+            migrated++;
+        }
+        if (migrated > 0) console.log(`🔐 평문 비밀번호 ${migrated}건 해시 전환 완료`);
+    } catch (e) {
+        console.error("⚠️ 비밀번호 해시 전환 오류:", e.message);
+    }
+    await migrateStoreManagerCredentials();
+}
+
+// 🆕 역할 분리 이전 매장 비밀번호 = 매장 매니저 비밀번호로 1회 이관 (직원 비밀번호는 본사/매니저가 새로 발급)
+//    이관 완료 표시를 auth 컬렉션에 남겨서, 이후 새로 발급한 직원 비밀번호는 건드리지 않음
+async function migrateStoreManagerCredentials() {
+    try {
+        const done = await db.collection(COLLECTION_AUTH).findOne({ type: 'migration', name: 'store_manager_credentials' });
+        if (done) return;
+        const r = await db.collection(COLLECTION_PIN_DATA).updateMany(
+            { password_hash: { $exists: true }, manager_password_hash: { $exists: false } },
+            { $rename: { password_hash: 'manager_password_hash' } }
+        );
+        await db.collection(COLLECTION_AUTH).insertOne({ type: 'migration', name: 'store_manager_credentials', migrated: r.modifiedCount, created_at: new Date() });
+        if (r.modifiedCount > 0) console.log(`🔐 기존 매장 비밀번호 ${r.modifiedCount}건 → 매장 매니저 비밀번호로 이관 (직원 비밀번호는 새로 발급해주세요)`);
+    } catch (e) {
+        console.error("⚠️ 매장 매니저 비밀번호 이관 오류:", e.message);
+    }
+}
+
 async function seedCollectionFromJSON(filename, collectionName) {
     try {
         const count = await db.collection(collectionName).countDocuments();
@@ -170,6 +331,31 @@ async function seedCollectionFromJSON(filename, collectionName) {
     } catch (e) {}
 }
 
+// 🆕 주문번호 접두어 없는 기존 매장 → ECOUNT_STORES.json 의 order_prefix 로 채움 (이미 있는 값은 유지)
+async function backfillStoreOrderPrefixes() {
+    try {
+        const jsonPath = path.join(__dirname, 'ECOUNT_STORES.json');
+        if (!fs.existsSync(jsonPath)) return;
+        const prefixByCode = new Map(JSON.parse(fs.readFileSync(jsonPath, 'utf-8'))
+            .filter(s => s.order_prefix)
+            .map(s => [String(s.code), s.order_prefix]));
+        const missing = await db.collection(COLLECTION_STORES).find({ $or: [{ order_prefix: { $exists: false } }, { order_prefix: null }, { order_prefix: '' }] }).toArray();
+        const used = new Set(await db.collection(COLLECTION_STORES).distinct('order_prefix'));   // 매장마다 고유해야 하므로 이미 쓰인 접두어는 건너뜀
+        let filled = 0;
+        for (const store of missing) {
+            const prefix = prefixByCode.get(String(store.code));
+            if (!prefix || used.has(prefix)) continue;
+            await db.collection(COLLECTION_STORES).updateOne({ _id: store._id }, { $set: { order_prefix: prefix } });
+            used.add(prefix);
+            filled++;
+        }
+        if (filled > 0) console.log(`🔢 매장 주문번호 접두어 ${filled}건 채움`);
+        if (missing.length > filled) console.warn(`⚠️ 주문번호 접두어(order_prefix) 없는 매장 ${missing.length - filled}곳 — 매장 마스터에서 입력해주세요. (입력 전까지 'OFF'+거래처코드 접두어 사용)`);
+    } catch (e) {
+        console.error("⚠️ 주문번호 접두어 채우기 오류:", e.message);
+    }
+}
+
 async function initializeWarehouseDB() {
     try {
         const collection = db.collection(COLLECTION_WAREHOUSES);
@@ -209,15 +395,42 @@ async function migrateOrderStatus() {
     }
 }
 
+// 🆕 인덱스 1개 생성 — 하나가 실패해도(기존 데이터 중복 등) 나머지는 계속 만들도록 개별 처리
+async function ensureIndex(collection, keys, options = {}) {
+    try {
+        await collection.createIndex(keys, options);
+        return true;
+    } catch (e) {
+        console.error(`⚠️ 인덱스 생성 실패 [${collection.collectionName}] ${JSON.stringify(keys)}:`, e.message);
+        return false;
+    }
+}
+
 // 🆕 자주 쓰는 쿼리에 인덱스 추가
 async function ensureOrderIndexes() {
     try {
         const collection = db.collection(COLLECTION_ORDERS);
-        await collection.createIndex({ status: 1, is_deleted: 1, created_at: -1 });
-        await collection.createIndex({ excel_batch_id: 1 });
-        await collection.createIndex({ store_name: 1, created_at: -1 });
+        await ensureIndex(collection, { status: 1, is_deleted: 1, created_at: -1 });
+        await ensureIndex(collection, { excel_batch_id: 1 });
+        await ensureIndex(collection, { store_name: 1, created_at: -1 });
+        // 🆕 주문번호 (번호 없는 옛 주문은 제외)
+        await ensureIndex(collection, { order_no: 1 }, { unique: true, partialFilterExpression: { order_no: { $type: 'string' } } });
+        // 🆕 태블릿 재전송 중복 방지 (Idempotency-Key / client_order_id) — 키는 매장 안에서만 고유
+        // 새 인덱스가 만들어진 뒤에만 예전 전체 고유 인덱스 제거 (없으면 무시)
+        if (await ensureIndex(collection, { store_name: 1, client_order_id: 1 }, { unique: true, partialFilterExpression: { client_order_id: { $type: 'string' } } })) {
+            await collection.dropIndex('client_order_id_1').catch(() => {});
+        }
         // 🆕 자동 복구 쿼리 최적화용 인덱스
-        await collection.createIndex({ status: 1, excel_downloaded_at: 1, auto_requeued: 1 });
+        await ensureIndex(collection, { status: 1, excel_downloaded_at: 1, auto_requeued: 1 });
+        // 🆕 배치 엑셀 스냅샷 (배치당 1개)
+        await ensureIndex(db.collection(COLLECTION_EXCEL_FILES), { batch_id: 1 }, { unique: true });
+        // 🆕 상태 전이 이력 조회용
+        await ensureIndex(db.collection(COLLECTION_ORDER_EVENTS), { order_id: 1, created_at: 1 });
+        await ensureIndex(db.collection(COLLECTION_ORDER_EVENTS), { batch_id: 1 });
+        // 🆕 같은 배치 동시 API 전송 방지 (진행 중 기록은 배치당 1개)
+        await ensureIndex(db.collection(COLLECTION_ECOUNT_SUBMISSIONS), { batch_id: 1 }, { unique: true, partialFilterExpression: { status: 'RUNNING' } });
+        // 🆕 마스터 데이터 버전 이력
+        await ensureIndex(db.collection(COLLECTION_MASTER_VERSIONS), { type: 1, version: -1 }, { unique: true });
         console.log("✅ 인덱스 확인 완료");
     } catch (e) {
         console.error("⚠️ 인덱스 생성 오류:", e.message);
@@ -242,27 +455,76 @@ async function refreshAccessToken() {
 // ==========================================
 // [4] 매장 접속 권한 및 통합 PIN 검증 API
 // ==========================================
+// 🔐 비밀번호 검증 + 연속 실패 잠금 (doc = 매장 계정 또는 PIN 문서)
+// hashFields 순서대로 비교 → 일치한 필드명 반환 (매장 계정은 매니저/직원 비밀번호 2개)
+// 시도 횟수는 검증 전에 원자적으로 먼저 올림 → 동시에 여러 번 틀려도 LOGIN_MAX_FAILED_ATTEMPTS 를 넘지 못함
+//   (N번째 시도에서 같은 update 로 잠금까지 걸고, 성공하면 0 으로 초기화)
+// @returns { ok, field } | { locked, minutes }
+async function verifyWithLockout(collection, doc, hashFields, plain) {
+    const now = new Date();
+    const lockUntil = new Date(now.getTime() + LOGIN_LOCK_MINUTES * 60 * 1000);
+    const attempt = await collection.findOneAndUpdate(
+        { _id: doc._id, $or: [{ locked_until: null }, { locked_until: { $lte: now } }] },
+        [
+            { $set: { failed_attempts: { $add: [{ $ifNull: ['$failed_attempts', 0] }, 1] } } },
+            { $set: {
+                locked_until: { $cond: [{ $gte: ['$failed_attempts', LOGIN_MAX_FAILED_ATTEMPTS] }, lockUntil, null] },
+                failed_attempts: { $cond: [{ $gte: ['$failed_attempts', LOGIN_MAX_FAILED_ATTEMPTS] }, 0, '$failed_attempts'] }
+            } }
+        ],
+        { returnDocument: 'after' }
+    );
+    if (!attempt) {
+        const current = await collection.findOne({ _id: doc._id }, { projection: { locked_until: 1 } });
+        const until = current && current.locked_until ? current.locked_until : lockUntil;
+        return { locked: true, minutes: Math.max(1, Math.ceil((until - Date.now()) / 60000)) };
+    }
+    for (const field of hashFields) {
+        if (!(await verifyPassword(String(plain ?? ''), doc[field]))) continue;
+        await collection.updateOne({ _id: doc._id }, { $set: { failed_attempts: 0, locked_until: null } });
+        return { ok: true, field };
+    }
+    await collection.updateOne({ _id: doc._id }, { $set: { last_failed_at: now } });
+    if (attempt.locked_until) return { locked: true, minutes: LOGIN_LOCK_MINUTES };
+    return { ok: false };
+}
+
+function sendLoginLocked(res, minutes) {
+    return res.status(429).json({ success: false, message: `로그인 실패가 ${LOGIN_MAX_FAILED_ATTEMPTS}회 이상이라 잠겼습니다. ${minutes}분 후 다시 시도해주세요.` });
+}
+
+function issueSessionToken(claims) {
+    return issueToken(claims, { secret: AUTH_TOKEN_SECRET, ttlSeconds: AUTH_TOKEN_TTL_HOURS * 3600 });
+}
+
+// 🆕 role: 'HR_ADMIN' 이면 인사 PIN, 없으면 통합 PIN(본사 운영)으로 검증
 app.post('/api/verify-pin', async (req, res) => {
     try {
         const { pin } = req.body;
-        const setting = await db.collection(COLLECTION_AUTH).findOne({ type: 'global_pin' });
+        const isHr = req.body.role === ROLES.HR_ADMIN;
+        const setting = await db.collection(COLLECTION_AUTH).findOne({ type: isHr ? 'hr_pin' : 'global_pin' });
+        const check = setting ? await verifyWithLockout(db.collection(COLLECTION_AUTH), setting, ['pin_hash'], pin) : { ok: false };
+        if (check.locked) return sendLoginLocked(res, check.minutes);
         
-        if (setting && String(setting.pinCode) === String(pin)) {
-            res.json({ success: true, token: pin }); 
+        if (check.ok) {
+            // PIN 세션 = 전 매장 (store_name 없음)
+            const role = isHr ? ROLES.HR_ADMIN : ROLES.HQ_OPERATIONS;
+            const { token, expiresAt } = issueSessionToken({ sub: isHr ? 'hr' : 'hq', role, store_name: null });
+            res.json({ success: true, token, expiresAt, role }); 
         } else {
             res.json({ success: false, message: '통합 비밀번호가 다릅니다.' });
         }
     } catch (e) { res.status(500).json({ success: false }); }
 });
 
-app.put('/api/auth/global-pin', async (req, res) => {
+app.put('/api/auth/global-pin', requirePermission('auth:global-pin'), async (req, res) => {
     try {
         const { newPin } = req.body;
         if (!newPin) return res.status(400).json({ success: false, message: '비밀번호를 입력해주세요.' });
 
         await db.collection(COLLECTION_AUTH).updateOne(
             { type: 'global_pin' },
-            { $set: { pinCode: String(newPin), updated_at: new Date() } },
+            { $set: { pin_hash: await hashPassword(String(newPin)), failed_attempts: 0, locked_until: null, updated_at: new Date() }, $unset: { pinCode: '' } },
             { upsert: true }
         );
         res.json({ success: true, message: '통합 비밀번호가 변경되었습니다.' });
@@ -271,44 +533,118 @@ app.put('/api/auth/global-pin', async (req, res) => {
     }
 });
 
+// 🆕 인사(HR) PIN 설정 — 설정 전에는 HR 로그인 불가
+app.put('/api/auth/hr-pin', requirePermission('auth:hr-pin'), async (req, res) => {
+    try {
+        const { newPin } = req.body;
+        if (!newPin) return res.status(400).json({ success: false, message: '비밀번호를 입력해주세요.' });
+
+        await db.collection(COLLECTION_AUTH).updateOne(
+            { type: 'hr_pin' },
+            { $set: { pin_hash: await hashPassword(String(newPin)), failed_attempts: 0, locked_until: null, updated_at: new Date() } },
+            { upsert: true }
+        );
+        res.json({ success: true, message: '인사 비밀번호가 변경되었습니다.' });
+    } catch (e) {
+        res.status(500).json({ success: false });
+    }
+});
+
 app.post('/api/auth/store/login', async (req, res) => {
     try {
         const { storeName, password } = req.body;
-        const cred = await db.collection(COLLECTION_PIN_DATA).findOne({ storeName: storeName });
+        const cred = storeName ? await db.collection(COLLECTION_PIN_DATA).findOne({ storeName: String(storeName) }) : null;
+        const check = cred ? await verifyWithLockout(db.collection(COLLECTION_PIN_DATA), cred, ['manager_password_hash', 'password_hash'], password) : { ok: false };
+        if (check.locked) return sendLoginLocked(res, check.minutes);
         
-        if (cred && String(cred.password) === String(password)) {
-            res.json({ success: true });
+        if (check.ok) {
+            // 매장 세션 = 토큰에 매장명 고정 → 자기 매장 주문만 변경 가능
+            // 매니저 비밀번호로 로그인하면 매장 매니저, 일반 비밀번호면 매장 직원
+            const role = check.field === 'manager_password_hash' ? ROLES.STORE_MANAGER : ROLES.STORE_STAFF;
+            const { token, expiresAt } = issueSessionToken({ sub: `store:${storeName}`, role, store_name: storeName });
+            res.json({ success: true, token, expiresAt, storeName, role });
         } else {
             res.json({ success: false, message: '비밀번호 불일치' });
         }
     } catch (e) { res.status(500).json({ success: false }); }
 });
 
-app.post('/api/auth/store/password', async (req, res) => {
+app.post('/api/auth/store/password', requirePermission('auth:store-password'), async (req, res) => {
     try {
-        const { storeName, password } = req.body;
+        const { storeName, password, role } = req.body;
         if (!storeName || !password) return res.status(400).json({ success: false, message: '값 누락' });
+        if (req.auth.store_name && req.auth.store_name !== storeName) return sendStoreForbidden(res);
+        // 🆕 role: 'STORE_MANAGER' 면 매니저 비밀번호, 없으면 직원 비밀번호 변경
+        const hashField = role === ROLES.STORE_MANAGER ? 'manager_password_hash' : 'password_hash';
         
         await db.collection(COLLECTION_PIN_DATA).updateOne(
             { storeName: storeName }, 
-            { $set: { password: String(password), updatedAt: new Date() } }, 
+            { $set: { [hashField]: await hashPassword(String(password)), failed_attempts: 0, locked_until: null, updatedAt: new Date() }, $unset: { password: '' } }, 
             { upsert: true }
         );
         res.json({ success: true });
     } catch (e) { res.status(500).json({ success: false }); }
 });
 
-app.get('/api/auth/store/credentials', async (req, res) => {
+app.get('/api/auth/store/credentials', requirePermission('auth:credentials'), async (req, res) => {
     try {
-        const credentials = await db.collection(COLLECTION_PIN_DATA).find({}).toArray();
+        // 비밀번호(해시 포함)는 내려주지 않음 — 매장명 / 마지막 변경일만
+        const credentials = await db.collection(COLLECTION_PIN_DATA)
+            .find({})
+            .project({ _id: 0, storeName: 1, updatedAt: 1 })
+            .sort({ storeName: 1 })
+            .toArray();
         res.json({ success: true, data: credentials });
     } catch (e) { res.status(500).json({ success: false }); }
 });
 
-const authMiddleware = async (req, res, next) => {
-    console.log("⚠️ 현재 주문 등록 보안 인증이 임시로 해제되어 무조건 통과됩니다.");
-    return next(); 
-};
+// 🔐 세션 토큰 검증 (Authorization: Bearer <token>) → req.auth = { sub, role, store_name }
+//    매장 역할(직원/매니저)만 store_name 이 있고, 본사/인사는 null (전 매장)
+//    세션 토큰 없이 X-Api-Key 가 오면 매크로 서비스 키로 검증 → MACRO_SERVICE (order:macro 권한만)
+function authMiddleware(req, res, next) {
+    const apiKey = extractBearerToken(req) ? null : extractApiKey(req);
+    if (apiKey) {
+        if (!verifyApiKey(apiKey, ECOUNT_MACRO_API_KEY)) return res.status(401).json({ success: false, message: '서비스 키가 유효하지 않습니다.' });
+        req.auth = { sub: 'macro', role: ROLES.MACRO_SERVICE, store_name: null };
+        return next();
+    }
+    const { payload, error } = verifyToken(extractBearerToken(req), AUTH_TOKEN_SECRET);
+    if (error) return res.status(401).json({ success: false, message: error });
+    if (!Object.values(ROLES).includes(payload.role)) return res.status(401).json({ success: false, message: '다시 로그인해주세요.' });
+    if (isStoreBoundRole(payload.role) && !payload.store_name) return res.status(401).json({ success: false, message: '다시 로그인해주세요.' });
+    req.auth = { sub: payload.sub, role: payload.role, store_name: isStoreBoundRole(payload.role) ? payload.store_name : null };
+    next();
+}
+
+// 🔐 라우트별 권한 검사 — permission 은 권한 이름 또는 (req) => 권한 이름
+//    전역 가드에서 이미 인증됐으면 토큰은 다시 검증하지 않고 역할만 확인
+function requirePermission(permission) {
+    return (req, res, next) => {
+        const required = typeof permission === 'function' ? permission(req) : permission;
+        const check = () => {
+            if (!hasPermission(req.auth.role, required)) {
+                return res.status(403).json({ success: false, message: '이 작업을 할 권한이 없습니다.', permission: required });
+            }
+            next();
+        };
+        if (req.auth) return check();
+        authMiddleware(req, res, check);
+    };
+}
+
+// 마스터 데이터 — 담당자(managers)는 인사도 수정 가능
+const masterPermission = req => req.params.type === 'managers' ? 'master:managers' : 'master:write';
+
+// 매장 전용 세션이면 조회/변경 조건에 매장명 고정
+//   세션 없이 호출되면(인증 누락) 아무 주문도 매칭되지 않게 — 전 매장으로 열리지 않도록
+function storeScope(req) {
+    if (!req.auth) return { store_name: { $in: [] } };
+    return req.auth.store_name ? { store_name: req.auth.store_name } : {};
+}
+
+function sendStoreForbidden(res) {
+    return res.status(403).json({ success: false, message: '다른 매장의 주문은 변경할 수 없습니다.' });
+}
 
 // ==========================================
 // [5] Cafe24 API (상품 & 옵션 조회)
@@ -663,7 +999,7 @@ app.get('/api/cafe24/coupons/:couponNo', async (req, res) => {
     } catch (error) { res.status(500).json({ success: false, message: 'Cafe24 Coupon API Error' }); }
 });
 
-app.post('/api/coupon-map', async (req, res) => {
+app.post('/api/coupon-map', requirePermission('coupon-map:write'), async (req, res) => {
     try {
         const { coupon_no, coupon_name, benefit_type, benefit_percentage, benefit_price, start_date, end_date, products } = req.body;
         if (!coupon_no) return res.status(400).json({ success: false });
@@ -686,7 +1022,7 @@ app.get('/api/coupon-map', async (req, res) => {
     } catch (e) { res.status(500).json({ success: false }); }
 });
 
-app.delete('/api/coupon-map/:couponNo', async (req, res) => {
+app.delete('/api/coupon-map/:couponNo', requirePermission('coupon-map:write'), async (req, res) => {
     try {
         await db.collection(COLLECTION_COUPON_MAP).deleteOne({ coupon_no: String(req.params.couponNo) });
         res.json({ success: true });
@@ -729,7 +1065,8 @@ app.get('/api/ordersOffData', async (req, res) => {
             const keywordOr = [
                 { customer_name: { $regex: keyword, $options: 'i' } },
                 { customer_phone: { $regex: keyword, $options: 'i' } },
-                { product_name: { $regex: keyword, $options: 'i' } }
+                { product_name: { $regex: keyword, $options: 'i' } },
+                { order_no: { $regex: keyword, $options: 'i' } }
             ];
             if (query.$or) {
                 query.$and = [{ $or: query.$or }, { $or: keywordOr }];
@@ -759,154 +1096,306 @@ app.get('/api/ordersOffData', async (req, res) => {
     }
 });
 
-app.post('/api/ordersOffData', authMiddleware, async (req, res) => {
+// 🆕 주문번호 발급: {매장 접두어}-{KST YYYYMMDD}-{4자리 일련번호}  예) GN-20261019-0007
+//    접두어 = 매장 마스터 order_prefix (매장마다 고유, 기존 매장은 부팅 시 채움)
+//            → 없으면 'OFF' + 거래처코드 (예: OFF20013, 6자 제한인 직접 입력 접두어와 겹치지 않음)
+//            → 매장 마스터에 없는 매장이면 'OFF'
+//    일련번호는 counters 컬렉션(접두어+일자별) 원자적 $inc 로 발급 → 매장별 일련번호, 동시 주문에도 중복 없음
+//    저장 실패 시 releaseOrderNo 로 반납 (그 사이 다음 번호가 나갔으면 반납하지 않음 → 번호가 한 칸 빔)
+async function assignOrderNo(store, createdAt) {
+    const fallback = store ? `OFF${String(store.code || '').toUpperCase().replace(/[^A-Z0-9]/g, '')}` : 'OFF';
+    const prefix = String((store && store.order_prefix) || '').toUpperCase().replace(/[^A-Z0-9]/g, '') || fallback;
+    const dateCode = toKSTDateCode(createdAt);
+    const counterId = `order_no:${prefix}-${dateCode}`;
+    const counter = await db.collection(COLLECTION_COUNTERS).findOneAndUpdate(
+        { _id: counterId },
+        { $inc: { seq: 1 }, $setOnInsert: { created_at: new Date() } },
+        { upsert: true, returnDocument: 'after' }
+    );
+    return { orderNo: `${prefix}-${dateCode}-${String(counter.seq).padStart(4, '0')}`, counterId, seq: counter.seq };
+}
+
+async function releaseOrderNo(assigned) {
+    try {
+        await db.collection(COLLECTION_COUNTERS).updateOne({ _id: assigned.counterId, seq: assigned.seq }, { $inc: { seq: -1 } });
+    } catch (e) {
+        console.error("⚠️ 주문번호 반납 실패:", e.message);
+    }
+}
+
+// 🆕 중복 주문 의심 판정 기준: 같은 매장·연락처·상품·금액이 N분 안에 다시 들어온 경우
+const DUPLICATE_ORDER_WINDOW_MINUTES = 5;
+
+function itemsSignature(items) {
+    return (items || [])
+        .map(it => `${it.product_name || ''}|${it.option_name || ''}|${Number(it.quantity) || 1}`)
+        .sort()
+        .join('##');
+}
+
+async function findRecentDuplicateOrders(order) {
+    if (!order.customer_phone) return [];
+    const since = new Date(order.created_at.getTime() - DUPLICATE_ORDER_WINDOW_MINUTES * 60 * 1000);
+    const recent = await db.collection(COLLECTION_ORDERS).find({
+        store_name: order.store_name,
+        customer_phone: order.customer_phone,
+        total_amount: order.total_amount,
+        is_deleted: { $ne: true },
+        created_at: { $gte: since }
+    }).project({ _id: 1, order_no: 1, items: 1, created_at: 1 }).toArray();
+    const sig = itemsSignature(order.items);
+    return recent.filter(o => itemsSignature(o.items) === sig);
+}
+
+function sendReplayedOrder(res, order) {
+    res.json({ success: true, orderId: order._id, orderNo: order.order_no, replayed: true });
+}
+
+app.post('/api/ordersOffData', requirePermission('order:create'), async (req, res) => {
     try {
-        const d = req.body;
+        // 🆕 스키마 검증 — 허용 필드만 저장 (status 등 상태 필드는 클라이언트가 지정 불가)
+        const { value: d, error, errors } = validateOrderPayload(req.body);
+        if (error) return res.status(400).json({ success: false, message: error, errors });
+        if (req.auth.store_name && d.store_name !== req.auth.store_name) return sendStoreForbidden(res);
+        // 🆕 같은 요청 재전송이면 새로 만들지 않고 처음 생성된 주문을 그대로 반환
+        const clientOrderId = String(req.get('Idempotency-Key') || d.client_order_id || '').trim().slice(0, 128) || null;
+        if (clientOrderId) {
+            const existing = await db.collection(COLLECTION_ORDERS).findOne({ store_name: d.store_name, client_order_id: clientOrderId }, { projection: { _id: 1, order_no: 1 } });
+            if (existing) return sendReplayedOrder(res, existing);
+        }
         
         let items = (d.items || []).map(it => ({
-            product_no: it.product_no, 
+            ...it,
             product_name: it.product_name || d.product_name,
-            option_code: it.option_code, 
-            option_name: it.option_name || d.option_name,
-            original_price: Number(it.original_price) || 0,
-            price: Number(it.price) || 0,
-            quantity: Number(it.quantity) || 1,
-            promo_type: it.promo_type || ''
+            option_name: it.option_name || d.option_name
         }));
 
         if (items.length === 0) {
             items = [{ product_name: d.product_name, option_name: d.option_name, price: 0, original_price: 0, quantity: 1, promo_type: '' }];
         }
 
+        // 🆕 매장 마스터 기본값 채우기 (거래처코드 / 기본 출하창고) + 비활성 매장 차단
+        const store = await db.collection(COLLECTION_STORES).findOne({ name: d.store_name });
+        if (store && store.is_active === false) {
+            return res.status(400).json({ success: false, message: '운영 중이 아닌 매장입니다.', errors: [{ field: 'store_name', message: '운영 중이 아닌 매장입니다.' }] });
+        }
+        if (store) {
+            if (!d.store_code) d.store_code = String(store.code);
+            if (!d.warehouse_code && !d.warehouse_name && store.warehouse_code) d.warehouse_code = store.warehouse_code;
+        }
+
+        const createdAt = new Date();
         const newOrder = {
             ...d, 
+            client_order_id: clientOrderId,
             items,
-            total_amount: Number(d.total_amount) || 0,
-            shipping_cost: Number(d.shipping_cost) || 0,
-            total_discount_amount: Number(d.total_discount_amount) || 0,
-            applied_coupon_count: Number(d.applied_coupon_count) || 0,
             status: ORDER_STATUS.PENDING,
             is_synced: false, 
             is_deleted: false,
-            created_at: new Date(), 
+            created_at: createdAt, 
             synced_at: null, 
             ecount_success: null
         };
-        delete newOrder._id;
-        const result = await db.collection(COLLECTION_ORDERS).insertOne(newOrder);
-        res.json({ success: true, orderId: result.insertedId });
+        if (!clientOrderId) delete newOrder.client_order_id;
+
+        const duplicates = await findRecentDuplicateOrders(newOrder);
+
+        // 재전송 확인이 끝난 뒤에만 번호 발급 → 저장 실패하면 반납
+        const assigned = await assignOrderNo(store, createdAt);
+        newOrder.order_no = assigned.orderNo;
+        let result;
+        try {
+            result = await db.collection(COLLECTION_ORDERS).insertOne(newOrder);
+        } catch (e) {
+            await releaseOrderNo(assigned);
+            // 동시에 들어온 같은 키 재전송 → 먼저 저장된 주문 반환
+            if (e.code === 11000 && clientOrderId && e.keyPattern && e.keyPattern.client_order_id) {
+                const existing = await db.collection(COLLECTION_ORDERS).findOne({ store_name: d.store_name, client_order_id: clientOrderId }, { projection: { _id: 1, order_no: 1 } });
+                if (existing) return sendReplayedOrder(res, existing);
+            }
+            throw e;
+        }
+        await recordOrderEvents([{ _id: result.insertedId, status: null }], ORDER_STATUS.PENDING, { actor: getActor(req), route: 'create', batchId: null });
+
+        const response = { success: true, orderId: result.insertedId, orderNo: newOrder.order_no };
+        if (duplicates.length > 0) {
+            response.duplicateWarning = {
+                message: `최근 ${DUPLICATE_ORDER_WINDOW_MINUTES}분 안에 같은 매장·연락처·상품·금액의 주문이 ${duplicates.length}건 있습니다. 중복 주문인지 확인해주세요.`,
+                orders: duplicates.map(o => ({ orderId: o._id, orderNo: o.order_no || null, created_at: o.created_at }))
+            };
+        }
+        res.json(response);
     } catch (error) {
         console.error("🔥 주문 생성 오류:", error);
         res.status(500).json({ success: false });
     }
 });
 
-app.put('/api/ordersOffData/:id', authMiddleware, async (req, res) => {
+app.put('/api/ordersOffData/:id', requirePermission('order:update'), async (req, res) => {
     try {
         if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false });
-        const f = { ...req.body, updated_at: new Date() };
-        delete f._id;
-        
-        if (f.shipping_cost !== undefined) f.shipping_cost = Number(f.shipping_cost);
-        if (f.total_amount !== undefined) f.total_amount = Number(f.total_amount);
-        if (f.total_discount_amount !== undefined) f.total_discount_amount = Number(f.total_discount_amount);
-        if (f.applied_coupon_count !== undefined) f.applied_coupon_count = Number(f.applied_coupon_count);
+        // 🆕 스키마 부분 검증 — 들어온 필드만 검증, 서버 관리 필드(상태/주문번호 등)는 무시, 모르는 필드는 400
+        const { value, error, errors } = validateOrderPayload(req.body, { partial: true });
+        if (error) return res.status(400).json({ success: false, message: error, errors });
+        delete value.client_order_id;   // 재전송 키는 생성 시에만
+
+        const orderId = new ObjectId(req.params.id);
+        const current = await db.collection(COLLECTION_ORDERS).findOne({ _id: orderId });
+        if (!current) return res.status(404).json({ success: false, message: '주문 내역을 찾을 수 없습니다.' });
+        // 매장 세션은 자기 매장 주문만, 다른 매장으로 옮기는 것도 불가
+        if (req.auth.store_name && (current.store_name !== req.auth.store_name || (value.store_name && value.store_name !== req.auth.store_name))) {
+            return sendStoreForbidden(res);
+        }
+        // 금액/상품이 바뀌면 기존 주문과 합쳐서 합계 재검증
+        if (['items', 'total_amount', 'shipping_cost', 'total_discount_amount'].some(k => value[k] !== undefined)) {
+            const totalError = checkOrderTotal({ ...current, ...value });
+            if (totalError) return res.status(400).json({ success: false, message: totalError, errors: [{ field: 'total_amount', message: totalError }] });
+        }
 
-        await db.collection(COLLECTION_ORDERS).updateOne({ _id: new ObjectId(req.params.id) }, { $set: f });
+        const f = { ...value, updated_at: new Date() };
+        await db.collection(COLLECTION_ORDERS).updateOne({ _id: orderId, ...storeScope(req) }, { $set: f });
         res.json({ success: true });
     } catch (error) { res.status(500).json({ success: false }); }
 });
 
-app.delete('/api/ordersOffData/:id', authMiddleware, async (req, res) => {
+app.delete('/api/ordersOffData/:id', requirePermission(req => isHardDelete(req) ? 'order:hard-delete' : 'order:delete'), async (req, res) => {
     try {
         if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false });
-        if (req.query.type === 'hard') await db.collection(COLLECTION_ORDERS).deleteOne({ _id: new ObjectId(req.params.id) });
-        else await db.collection(COLLECTION_ORDERS).updateOne({ _id: new ObjectId(req.params.id) }, { $set: { is_deleted: true, deleted_at: new Date() } });
+        const filter = { _id: new ObjectId(req.params.id), ...storeScope(req) };
+        const result = req.query.type === 'hard'
+            ? await db.collection(COLLECTION_ORDERS).deleteOne(filter)
+            : await db.collection(COLLECTION_ORDERS).updateOne(filter, { $set: { is_deleted: true, deleted_at: new Date() } });
+        if ((result.deletedCount || result.matchedCount || 0) === 0) return res.status(404).json({ success: false, message: '주문을 찾을 수 없습니다.' });
         res.json({ success: true });
     } catch (error) { res.status(500).json({ success: false }); }
 });
 
-app.put('/api/ordersOffData/restore/:id', authMiddleware, async (req, res) => {
+app.put('/api/ordersOffData/restore/:id', requirePermission('order:restore'), async (req, res) => {
     try {
         if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false });
-        await db.collection(COLLECTION_ORDERS).updateOne(
-            { _id: new ObjectId(req.params.id) },
-            { 
-                $set: { 
-                    is_deleted: false, 
-                    deleted_at: null, 
-                    is_synced: false, 
-                    synced_at: null, 
-                    ecount_status: null, 
-                    ecount_message: null,
-                    status: ORDER_STATUS.PENDING,
-                    excel_batch_id: null,
-                    excel_downloaded_at: null,
-                    ecount_confirmed_at: null,
-                    ecount_failed_at: null
-                } 
-            }
-        );
+        // 휴지통(삭제된 주문)에 있는 건만 복구 — 살아 있는 주문은 404
+        const result = await transitionOrders({
+            filter: { _id: new ObjectId(req.params.id), is_deleted: true, ...storeScope(req) },
+            to: ORDER_STATUS.PENDING,
+            route: 'restore',
+            actor: getActor(req)
+        });
+        if (result.error) return sendTransitionConflict(res, result);
+        if (result.modifiedCount === 0) return res.status(404).json({ success: false, message: '주문을 찾을 수 없습니다.' });
         res.json({ success: true });
     } catch (error) { res.status(500).json({ success: false }); }
 });
 
 // 🟡 [기존 호환] /sync 엔드포인트
-app.post('/api/ordersOffData/sync', async (req, res) => {
+app.post('/api/ordersOffData/sync', requirePermission('order:macro'), async (req, res) => {
     try {
         const { results } = req.body; 
         if (!results || !Array.isArray(results)) return res.status(400).json({ success: false });
-        const bulkOps = results.map(item => ({
-            updateOne: {
+        // 매크로 결과 보고는 재전송될 수 있으므로 불법 전이(이미 처리된 건 등)는 건너뛰고 목록만 응답
+        const actor = getActor(req);
+        let modifiedCount = 0;
+        const rejected = [];
+        for (const item of results) {
+            if (!ObjectId.isValid(item.id)) continue;
+            const r = await transitionOrders({
                 filter: { _id: new ObjectId(item.id) },
-                update: { 
-                    $set: { 
-                        is_synced: true, 
-                        synced_at: new Date(), 
-                        ecount_success: item.status === 'SUCCESS', 
-                        ecount_message: item.message || '',
-                        status: item.status === 'SUCCESS' ? ORDER_STATUS.CONFIRMED : ORDER_STATUS.FAILED,
-                        ...(item.status === 'SUCCESS' 
-                            ? { ecount_confirmed_at: new Date() } 
-                            : { ecount_failed_at: new Date(), ecount_failure_reason: item.message || '' })
-                    } 
-                }
-            }
-        }));
-        if (bulkOps.length > 0) await db.collection(COLLECTION_ORDERS).bulkWrite(bulkOps);
-        res.json({ success: true });
+                to: item.status === 'SUCCESS' ? ORDER_STATUS.CONFIRMED : ORDER_STATUS.FAILED,
+                route: 'sync',
+                actor,
+                message: item.message || '',
+                onIllegal: 'skip'
+            });
+            modifiedCount += r.modifiedCount;
+            rejected.push(...r.rejected);
+        }
+        res.json({ success: true, modifiedCount, rejected });
     } catch (error) { res.status(500).json({ success: false }); }
 });
 
-app.post('/api/ordersOffData/sync-by-content', async (req, res) => {
+// 🆕 매크로 결과 매칭: 적요의 주문 참조키([OID:...]) 우선 → 없으면 다중 필드 점수 매칭
+//    동점(애매) / 미매칭 행은 업데이트하지 않고 ambiguous / unmatched 로 보고
+app.post('/api/ordersOffData/sync-by-content', requirePermission('order:macro'), async (req, res) => {
     try {
         const { results } = req.body;
         if (!results || !Array.isArray(results)) return res.status(400).json({ success: false });
-        for (const item of results) {
-            const amount = typeof item.matchKey.total_amount === 'string' ? Number(item.matchKey.total_amount.replace(/,/g, '')) : item.matchKey.total_amount;
-            await db.collection(COLLECTION_ORDERS).updateOne(
-                { is_synced: { $ne: true }, customer_name: item.matchKey.customer_name, total_amount: amount },
-                { 
-                    $set: { 
-                        is_synced: true, 
-                        synced_at: new Date(), 
-                        ecount_success: item.status === 'SUCCESS', 
-                        ecount_message: item.message || '',
-                        status: item.status === 'SUCCESS' ? ORDER_STATUS.CONFIRMED : ORDER_STATUS.FAILED,
-                        ...(item.status === 'SUCCESS' 
-                            ? { ecount_confirmed_at: new Date() } 
-                            : { ecount_failed_at: new Date(), ecount_failure_reason: item.message || '' })
-                    } 
-                }
-            );
+        const actor = getActor(req);
+        const openFilter = {
+            is_deleted: { $ne: true },
+            $or: [
+                { status: { $in: [ORDER_STATUS.PENDING, ORDER_STATUS.EXPORTED] } },
+                { status: { $exists: false }, is_synced: { $ne: true } }
+            ]
+        };
+        const usedIds = new Set();   // 같은 요청 안에서 한 주문이 두 결과에 잡히지 않도록
+        const matched = [], ambiguous = [], unmatched = [], rejected = [];
+        let modifiedCount = 0;
+
+        for (let index = 0; index < results.length; index++) {
+            const item = results[index];
+            const matchKey = item.matchKey || {};
+            let target = null;
+            let matchedBy = null;
+
+            const ref = extractOrderRef(matchKey);
+            if (ref) {
+                const refQuery = ref.field === '_id' ? { _id: new ObjectId(ref.value) } : { order_no: ref.value };
+                target = await db.collection(COLLECTION_ORDERS).findOne({ ...refQuery, is_deleted: { $ne: true } }, { projection: { _id: 1 } });
+                if (!target) { unmatched.push({ index, matchKey, reason: '참조키에 해당하는 주문이 없습니다.' }); continue; }
+                matchedBy = 'ref';
+            } else {
+                const amount = parseAmount(matchKey.total_amount);
+                const candidates = Number.isFinite(amount)
+                    ? (await db.collection(COLLECTION_ORDERS).find({ ...openFilter, total_amount: amount }).toArray())
+                        .filter(o => !usedIds.has(String(o._id)))
+                    : [];
+                const pick = pickUniqueMatch(matchKey, candidates);
+                if (pick.status === 'AMBIGUOUS') { ambiguous.push({ index, matchKey, candidates: pick.candidates }); continue; }
+                if (pick.status === 'UNMATCHED') { unmatched.push({ index, matchKey, reason: '조건에 맞는 미확정 주문이 없습니다.' }); continue; }
+                target = pick.order;
+                matchedBy = `fields:${pick.fields.join('+')}`;
+            }
+
+            const orderId = String(target._id);
+            if (usedIds.has(orderId)) { ambiguous.push({ index, matchKey, candidates: [orderId], reason: '다른 결과 행과 같은 주문입니다.' }); continue; }
+            usedIds.add(orderId);
+
+            const r = await transitionOrders({
+                filter: { _id: target._id },
+                to: item.status === 'SUCCESS' ? ORDER_STATUS.CONFIRMED : ORDER_STATUS.FAILED,
+                route: 'sync-by-content',
+                actor,
+                message: item.message || '',
+                onIllegal: 'skip'
+            });
+            modifiedCount += r.modifiedCount;
+            rejected.push(...r.rejected);
+            matched.push({ index, order_id: orderId, by: matchedBy });
         }
-        res.json({ success: true });
-    } catch (error) { res.status(500).json({ success: false }); }
+        res.json({ success: true, modifiedCount, matched, ambiguous, unmatched, rejected });
+    } catch (error) {
+        console.error("🔥 매크로 결과 매칭 오류:", error);
+        res.status(500).json({ success: false });
+    }
+});
+// 🆕 주문 상태 전이 이력 조회 (누가 언제 어떤 경로로 상태를 바꿨는지)
+app.get('/api/ordersOffData/:id/history', async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false, message: '잘못된 주문 ID입니다.' });
+        const events = await db.collection(COLLECTION_ORDER_EVENTS)
+            .find({ order_id: req.params.id })
+            .sort({ created_at: 1, _id: 1 })
+            .toArray();
+        res.json({ success: true, count: events.length, data: events });
+    } catch (error) {
+        console.error("🔥 주문 이력 조회 오류:", error);
+        res.status(500).json({ success: false });
+    }
 });
+
 // ==========================================
 // 🆕 [6-2] 주문 상태 머신 신규 API (매크로 실행 기반 자동 복구 추가)
 // ==========================================
-app.post('/api/ordersOffData/mark-exported', async (req, res) => {
+app.post('/api/ordersOffData/mark-exported', requirePermission('order:macro'), async (req, res) => {
     try {
         const { orderIds } = req.body;
         if (!Array.isArray(orderIds) || orderIds.length === 0) {
@@ -917,6 +1406,23 @@ app.post('/api/ordersOffData/mark-exported', async (req, res) => {
         if (validIds.length === 0) {
             return res.status(400).json({ success: false, message: '유효한 주문 ID가 없습니다.' });
         }
+        const actor = getActor(req);
+
+        // 0. 이번 다운로드 대상 사전 검증 — 미전송(PENDING)이 아닌 주문이 섞여 있으면 아무것도 바꾸지 않고 409
+        const exportFilter = { _id: { $in: validIds }, is_deleted: { $ne: true } };
+        const invalid = await db.collection(COLLECTION_ORDERS).find({
+            ...exportFilter,
+            $nor: [
+                { status: ORDER_STATUS.PENDING },
+                { status: { $exists: false }, is_synced: { $ne: true } }
+            ]
+        }).project({ _id: 1, status: 1 }).toArray();
+        if (invalid.length > 0) {
+            return sendTransitionConflict(res, {
+                error: `미전송 상태가 아닌 주문이 포함되어 있습니다. (${invalid.length}건)`,
+                rejected: invalid.map(o => ({ id: String(o._id), status: o.status || ORDER_STATUS.CONFIRMED }))
+            });
+        }
 
         // ------------------------------------------------------------------
         // 🔥 [추가된 로직] 매크로 실행 기반 "방치 카운트" 증가 및 3회 이상 시 롤백
@@ -932,28 +1438,18 @@ app.post('/api/ordersOffData/mark-exported', async (req, res) => {
             { $inc: { macro_miss_count: 1 } }
         );
 
-        // 2. 누락 횟수(macro_miss_count)가 3 이상인 주문들을 미전송(PENDING)으로 복구
-        const autoRequeueResult = await db.collection(COLLECTION_ORDERS).updateMany(
-            {
+        // 2. 누락 횟수(macro_miss_count)가 기준 이상인 주문들을 미전송(PENDING)으로 복구
+        const autoRequeueResult = await transitionOrders({
+            filter: {
                 status: ORDER_STATUS.EXPORTED,
                 macro_miss_count: { $gte: 1 }, // 최대 3회 매크로 실행 동안 방치된 건
                 is_deleted: { $ne: true }
             },
-            {
-                $set: {
-                    status: ORDER_STATUS.PENDING, // 미전송으로 복구
-                    auto_requeued: true,
-                    auto_requeued_at: new Date(),
-                    macro_miss_count: 0, // 초기화 (다음 다운로드 때 다시 정상 포함되도록)
-                    is_synced: false,
-                    synced_at: null,
-                    ecount_success: null,
-                    excel_batch_id: null,
-                    excel_downloaded_at: null
-                },
-                $inc: { auto_requeue_count: 1 }
-            }
-        );
+            to: ORDER_STATUS.PENDING,
+            route: 'macro-requeue',
+            actor,
+            onIllegal: 'skip'
+        });
 
         if (autoRequeueResult.modifiedCount > 0) {
             console.log(`[MACRO-REQUEUE] 매크로 1회 누락으로 인해 ${autoRequeueResult.modifiedCount}건 미전송(PENDING)으로 자동 복구됨`);
@@ -968,24 +1464,14 @@ app.post('/api/ordersOffData/mark-exported', async (req, res) => {
         const seq = String(distinctBatches.length + 1).padStart(3, '0');
         const batchId = `BATCH_${today}_${seq}`;
 
-        const result = await db.collection(COLLECTION_ORDERS).updateMany(
-            {
-                _id: { $in: validIds },
-                is_deleted: { $ne: true },
-                $or: [
-                    { status: ORDER_STATUS.PENDING },
-                    { status: { $exists: false }, is_synced: { $ne: true } }
-                ]
-            },
-            {
-                $set: {
-                    status: ORDER_STATUS.EXPORTED,
-                    excel_batch_id: batchId,
-                    excel_downloaded_at: new Date(),
-                    macro_miss_count: 0 // 새로 확정대기가 된 건 카운트 0으로 시작
-                }
-            }
-        );
+        const result = await transitionOrders({
+            filter: exportFilter,
+            to: ORDER_STATUS.EXPORTED,
+            route: 'mark-exported',
+            actor,
+            batchId
+        });
+        if (result.error) return sendTransitionConflict(res, result);
 
         res.json({
             success: true,
@@ -1001,23 +1487,18 @@ app.post('/api/ordersOffData/mark-exported', async (req, res) => {
     }
 });
 
-app.post('/api/ordersOffData/confirm-batch', async (req, res) => {
+app.post('/api/ordersOffData/confirm-batch', requirePermission('order:batch'), async (req, res) => {
     try {
         const { batchId } = req.body;
         if (!batchId) return res.status(400).json({ success: false, message: 'batchId가 필요합니다.' });
 
-        const result = await db.collection(COLLECTION_ORDERS).updateMany(
-            { excel_batch_id: batchId, status: ORDER_STATUS.EXPORTED },
-            {
-                $set: {
-                    status: ORDER_STATUS.CONFIRMED,
-                    ecount_confirmed_at: new Date(),
-                    is_synced: true,
-                    synced_at: new Date(),
-                    ecount_success: true
-                }
-            }
-        );
+        const result = await transitionOrders({
+            filter: { excel_batch_id: batchId, status: ORDER_STATUS.EXPORTED },
+            to: ORDER_STATUS.CONFIRMED,
+            route: 'confirm-batch',
+            actor: getActor(req)
+        });
+        if (result.error) return sendTransitionConflict(res, result);
 
         res.json({ success: true, confirmedCount: result.modifiedCount });
     } catch (error) {
@@ -1026,7 +1507,7 @@ app.post('/api/ordersOffData/confirm-batch', async (req, res) => {
     }
 });
 
-app.post('/api/ordersOffData/confirm-selected', async (req, res) => {
+app.post('/api/ordersOffData/confirm-selected', requirePermission('order:transition'), async (req, res) => {
     try {
         const { orderIds } = req.body;
         if (!Array.isArray(orderIds) || orderIds.length === 0) {
@@ -1035,18 +1516,13 @@ app.post('/api/ordersOffData/confirm-selected', async (req, res) => {
 
         const validIds = orderIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
 
-        const result = await db.collection(COLLECTION_ORDERS).updateMany(
-            { _id: { $in: validIds }, status: ORDER_STATUS.EXPORTED },
-            {
-                $set: {
-                    status: ORDER_STATUS.CONFIRMED,
-                    ecount_confirmed_at: new Date(),
-                    is_synced: true,
-                    synced_at: new Date(),
-                    ecount_success: true
-                }
-            }
-        );
+        const result = await transitionOrders({
+            filter: { _id: { $in: validIds }, is_deleted: { $ne: true }, ...storeScope(req) },
+            to: ORDER_STATUS.CONFIRMED,
+            route: 'confirm-selected',
+            actor: getActor(req)
+        });
+        if (result.error) return sendTransitionConflict(res, result);
 
         res.json({ success: true, confirmedCount: result.modifiedCount });
     } catch (error) {
@@ -1055,7 +1531,7 @@ app.post('/api/ordersOffData/confirm-selected', async (req, res) => {
     }
 });
 
-app.post('/api/ordersOffData/mark-failed', async (req, res) => {
+app.post('/api/ordersOffData/mark-failed', requirePermission('order:transition'), async (req, res) => {
     try {
         const { orderIds, reason } = req.body;
         if (!Array.isArray(orderIds) || orderIds.length === 0) {
@@ -1065,40 +1541,19 @@ app.post('/api/ordersOffData/mark-failed', async (req, res) => {
         const validIds = orderIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
         const failureReason = reason || '이카운트 등록 실패';
 
-        const orders = await db.collection(COLLECTION_ORDERS).find(
-            { _id: { $in: validIds }, status: ORDER_STATUS.EXPORTED }
-        ).toArray();
+        // 실패 처리 시 retry_count 증가 + retry_history 기록은 상태 머신의 FAILED 전이 표준 처리
+        const result = await transitionOrders({
+            filter: { _id: { $in: validIds }, is_deleted: { $ne: true }, ...storeScope(req) },
+            to: ORDER_STATUS.FAILED,
+            route: 'mark-failed',
+            actor: getActor(req),
+            reason: failureReason
+        });
+        if (result.error) return sendTransitionConflict(res, result);
 
-        if (orders.length === 0) {
+        if (result.modifiedCount === 0) {
             return res.json({ success: true, failedCount: 0, message: '처리 대상 없음' });
         }
-
-        const bulkOps = orders.map(o => ({
-            updateOne: {
-                filter: { _id: o._id },
-                update: {
-                    $set: {
-                        status: ORDER_STATUS.FAILED,
-                        ecount_failed_at: new Date(),
-                        ecount_failure_reason: failureReason,
-                        is_synced: true,
-                        synced_at: new Date(),
-                        ecount_success: false,
-                        ecount_message: failureReason
-                    },
-                    $inc: { retry_count: 1 },
-                    $push: {
-                        retry_history: {
-                            batch_id: o.excel_batch_id || null,
-                            failed_at: new Date(),
-                            reason: failureReason
-                        }
-                    }
-                }
-            }
-        }));
-
-        const result = await db.collection(COLLECTION_ORDERS).bulkWrite(bulkOps);
         res.json({ success: true, failedCount: result.modifiedCount });
     } catch (error) {
         console.error("🔥 mark-failed 오류:", error);
@@ -1106,7 +1561,7 @@ app.post('/api/ordersOffData/mark-failed', async (req, res) => {
     }
 });
 
-app.post('/api/ordersOffData/requeue', async (req, res) => {
+app.post('/api/ordersOffData/requeue', requirePermission('order:transition'), async (req, res) => {
     try {
         const { orderIds } = req.body;
         if (!Array.isArray(orderIds) || orderIds.length === 0) {
@@ -1115,21 +1570,13 @@ app.post('/api/ordersOffData/requeue', async (req, res) => {
 
         const validIds = orderIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
 
-        const result = await db.collection(COLLECTION_ORDERS).updateMany(
-            { _id: { $in: validIds }, status: ORDER_STATUS.FAILED },
-            {
-                $set: {
-                    status: ORDER_STATUS.PENDING,
-                    is_synced: false,
-                    synced_at: null,
-                    ecount_success: null,
-                    ecount_message: null,
-                    excel_batch_id: null,
-                    excel_downloaded_at: null,
-                    ecount_failed_at: null
-                }
-            }
-        );
+        const result = await transitionOrders({
+            filter: { _id: { $in: validIds }, is_deleted: { $ne: true }, ...storeScope(req) },
+            to: ORDER_STATUS.PENDING,
+            route: 'requeue',
+            actor: getActor(req)
+        });
+        if (result.error) return sendTransitionConflict(res, result);
 
         res.json({ success: true, requeuedCount: result.modifiedCount });
     } catch (error) {
@@ -1166,55 +1613,267 @@ app.get('/api/ordersOffData/batches', async (req, res) => {
     }
 });
 
-app.get('/api/ordersOffData/counts', async (req, res) => {
+// 🆕 배치 이카운트 판매입력 엑셀 다운로드
+//   - 첫 요청 시 서버에서 생성해 스냅샷으로 저장 → 이후 재다운로드는 저장본 그대로 (모든 매장 동일 파일)
+//   - 이후 requeue 등으로 주문의 excel_batch_id 가 지워져도 과거 배치 파일은 그대로 받을 수 있음
+app.get('/api/ordersOffData/batches/:batchId/excel', requirePermission('order:batch'), async (req, res) => {
     try {
-        const [pending, exported, failed] = await Promise.all([
-            db.collection(COLLECTION_ORDERS).countDocuments({
-                is_deleted: { $ne: true },
-                $or: [
-                    { status: ORDER_STATUS.PENDING },
-                    { status: { $exists: false }, is_synced: { $ne: true } }
-                ]
-            }),
-            db.collection(COLLECTION_ORDERS).countDocuments({
-                is_deleted: { $ne: true },
-                status: ORDER_STATUS.EXPORTED
-            }),
-            db.collection(COLLECTION_ORDERS).countDocuments({
-                is_deleted: { $ne: true },
-                status: ORDER_STATUS.FAILED
-            })
-        ]);
+        const { batchId } = req.params;
+        if (!/^BATCH_\d{8}_\d{3}$/.test(batchId)) {
+            return res.status(400).json({ success: false, message: '잘못된 batchId 형식입니다.' });
+        }
 
-        res.json({ success: true, data: { pending, exported, failed } });
+        let snapshot = await db.collection(COLLECTION_EXCEL_FILES).findOne({ batch_id: batchId });
+        if (!snapshot) {
+            const orders = await db.collection(COLLECTION_ORDERS)
+                .find({ excel_batch_id: batchId, is_deleted: { $ne: true } })
+                .sort({ created_at: 1, _id: 1 })
+                .toArray();
+            if (orders.length === 0) {
+                return res.status(404).json({ success: false, message: '해당 배치의 주문이 없습니다.' });
+            }
+
+            const [stores, warehouses, managers] = await Promise.all([
+                db.collection(COLLECTION_STORES).find({}).toArray(),
+                db.collection(COLLECTION_WAREHOUSES).find({}).toArray(),
+                db.collection(COLLECTION_STATIC_MANAGERS).find({}).toArray()
+            ]);
+            const { lines, unmatched } = buildEcountSaleLines(orders, { stores, warehouses, managers });
+            const createdAt = orders[0].excel_downloaded_at || orders[0].created_at;
+            const workbook = buildEcountSalesWorkbook(lines, { createdAt });
+            const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+            snapshot = {
+                batch_id: batchId,
+                file: buffer,
+                order_ids: orders.map(o => String(o._id)),
+                line_count: lines.length,
+                unmatched_items: unmatched,
+                created_at: new Date()
+            };
+            try {
+                await db.collection(COLLECTION_EXCEL_FILES).insertOne(snapshot);
+            } catch (e) {
+                // 동시 요청으로 이미 저장된 경우 → 먼저 저장된 파일을 내려줌
+                if (e.code !== 11000) throw e;
+                snapshot = await db.collection(COLLECTION_EXCEL_FILES).findOne({ batch_id: batchId });
+            }
+        }
+
+        const file = Buffer.isBuffer(snapshot.file) ? snapshot.file : Buffer.from(snapshot.file.buffer);
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${batchId}.xlsx"`);
+        res.setHeader('X-Unmatched-Item-Count', String((snapshot.unmatched_items || []).length));
+        res.send(file);
     } catch (error) {
-        console.error("🔥 counts 조회 오류:", error);
-        res.status(500).json({ success: false });
+        console.error("🔥 배치 엑셀 생성 오류:", error);
+        res.status(500).json({ success: false, message: '엑셀 생성 중 서버 오류' });
     }
 });
 
 // ==========================================
-// 🆕 [6-3] 자동 복구 (Stale EXPORTED → PENDING)
+// 🔌 [6-2-1] 이카운트 OpenAPI 직접 전송 (엑셀 + 매크로 왕복 대체)
 // ==========================================
+let ecountClient = null;
+function getEcountClient() {
+    if (!ECOUNT_COM_CODE || !ECOUNT_USER_ID || !ECOUNT_API_CERT_KEY) return null;
+    if (!ecountClient) {
+        ecountClient = createEcountClient({
+            comCode: ECOUNT_COM_CODE,
+            userId: ECOUNT_USER_ID,
+            apiCertKey: ECOUNT_API_CERT_KEY,
+            zone: ECOUNT_ZONE,
+            baseUrl: ECOUNT_API_BASE_URL
+        });
+    }
+    return ecountClient;
+}
 
 /**
- * 🆕 핵심 자동 복구 로직 (재사용 가능한 함수)
- * - status: EXPORTED + downloaded_at이 30분 이상 경과 + auto_requeued !== true
- * - 1회만 자동 복구 (auto_requeued: true 플래그로 무한 루프 방지)
+ * 배치(확정대기 주문)를 이카운트 SaveSale 로 전송하고 결과대로 CONFIRMED / FAILED 전이
+ * - 품목코드 매핑 실패 주문은 전송하지 않고 바로 FAILED
+ * - 라인별 결과는 ecount_message / ecount_failure_reason 에 기록
+ * - 이중 등록 방지: SaveSale 성공 직후(상태 전이 전) 전송 기록에 전표번호·주문별 결과부터 저장 (phase: POSTED)
+ *   · 재전송 시 이전 기록이 이미 결과를 가진 주문은 다시 보내지 않고 기록된 결과로만 전이
+ *   · SaveSale 호출 중 오류(phase: SENDING → ERROR)는 이카운트 등록 여부를 알 수 없으므로
+ *     이카운트에서 확인 후 force: true 로 명시적으로 다시 보낼 때까지 자동 재전송 차단
  */
-async function performAutoRequeue() {
+app.post('/api/ordersOffData/batches/:batchId/ecount-submit', requirePermission('order:batch'), async (req, res) => {
+    const { batchId } = req.params;
+    const client = getEcountClient();
+    if (!client) return res.status(503).json({ success: false, message: '이카운트 API 설정(ECOUNT_COM_CODE 등)이 없습니다.' });
+
+    const submissions = db.collection(COLLECTION_ECOUNT_SUBMISSIONS);
+    let submissionId = null;
     try {
-        if (!db) return { requeuedCount: 0, targets: [] };
-        
-        const staleThreshold = new Date(Date.now() - AUTO_REQUEUE_STALE_MINUTES * 60 * 1000);
+        const actor = getActor(req);
+        const force = req.body && req.body.force === true;
+
+        // 이전 전송 기록 — 결과가 남은 주문 / 결과를 알 수 없는 전송
+        const prior = await submissions.find({ batch_id: batchId, status: { $in: ['DONE', 'ERROR'] } }).sort({ started_at: 1 }).toArray();
+        const unknown = prior.filter(p => p.status === 'ERROR' && p.phase === 'SENDING' && !p.resolved_at);
+        if (unknown.length > 0 && !force) {
+            return res.status(409).json({
+                success: false,
+                message: '이전 이카운트 전송이 응답 없이 실패해 등록 여부를 알 수 없습니다. 이카운트에서 전표를 확인한 뒤 force: true 로 다시 전송해주세요.',
+                submissionIds: unknown.map(p => p._id)
+            });
+        }
+        const recorded = new Map();
+        prior.forEach(p => (p.results || []).forEach(r => recorded.set(String(r.order_id), r)));
 
-        // 1. 대상 조회
-        const targets = await db.collection(COLLECTION_ORDERS).find({
-            status: ORDER_STATUS.EXPORTED,
+        try {
+            const ins = await submissions.insertOne({
+                batch_id: batchId, status: 'RUNNING', phase: 'PREPARING', actor, forced: force, started_at: new Date()
+            });
+            submissionId = ins.insertedId;
+        } catch (e) {
+            if (e.code === 11000) return res.status(409).json({ success: false, message: '이미 전송 중인 배치입니다.' });
+            throw e;
+        }
+        if (unknown.length > 0) {
+            await submissions.updateMany(
+                { _id: { $in: unknown.map(p => p._id) } },
+                { $set: { resolved_at: new Date(), resolved_by: actor, resolved_by_submission: submissionId } }
+            );
+        }
+
+        const orders = await db.collection(COLLECTION_ORDERS)
+            .find({ excel_batch_id: batchId, status: ORDER_STATUS.EXPORTED, is_deleted: { $ne: true } })
+            .sort({ created_at: 1, _id: 1 })
+            .toArray();
+        if (orders.length === 0) {
+            await submissions.updateOne({ _id: submissionId }, { $set: { status: 'EMPTY', finished_at: new Date() } });
+            return res.status(404).json({ success: false, message: '전송할 확정대기 주문이 없습니다.' });
+        }
+
+        // 이전 전송에서 이미 결과가 나온 주문은 재전송하지 않음
+        const replayed = orders.filter(o => recorded.has(String(o._id))).map(o => recorded.get(String(o._id)));
+        const toSend = orders.filter(o => !recorded.has(String(o._id)));
+
+        const [stores, warehouses, managers] = await Promise.all([
+            db.collection(COLLECTION_STORES).find({}).toArray(),
+            db.collection(COLLECTION_WAREHOUSES).find({}).toArray(),
+            db.collection(COLLECTION_STATIC_MANAGERS).find({}).toArray()
+        ]);
+        const { lines, unmatched } = buildEcountSaleLines(toSend, { stores, warehouses, managers });
+
+        // 품목코드 없는 주문은 이카운트에서 어차피 거절되므로 사전 실패 처리
+        const unmatchedOrderIds = new Set(unmatched.map(u => u.order_id));
+        const preFailed = [...unmatchedOrderIds].map(id => ({
+            order_id: id,
+            success: false,
+            message: '품목코드 매핑 실패: ' + unmatched.filter(u => u.order_id === id).map(u => `${u.prod_des} ${u.size_des}`.trim()).join(', ')
+        }));
+        const sendLines = lines.filter(l => !unmatchedOrderIds.has(l.order_id));
+
+        let apiResult = { successCount: 0, failCount: 0, slipNos: [], lines: [] };
+        if (sendLines.length > 0) {
+            await submissions.updateOne({ _id: submissionId }, { $set: { phase: 'SENDING', sent_order_ids: [...new Set(sendLines.map(l => l.order_id))] } });
+            apiResult = await client.saveSale(sendLines);
+        }
+        const orderResults = [...summarizeByOrder(apiResult.lines), ...preFailed];
+
+        // 🔒 이카운트 등록 결과를 가장 먼저 저장 — 이후 단계가 실패해도 재전송 시 이 결과로 전이만
+        await submissions.updateOne({ _id: submissionId }, {
+            $set: { phase: 'POSTED', posted_at: new Date(), slip_nos: apiResult.slipNos, results: orderResults, replayed_results: replayed }
+        });
+
+        let confirmedCount = 0, failedCount = 0;
+        for (const r of [...orderResults, ...replayed]) {
+            const t = await transitionOrders({
+                filter: { _id: new ObjectId(r.order_id) },
+                to: r.success ? ORDER_STATUS.CONFIRMED : ORDER_STATUS.FAILED,
+                route: 'ecount-api',
+                actor,
+                message: r.message,
+                onIllegal: 'skip'
+            });
+            if (r.success) confirmedCount += t.modifiedCount;
+            else failedCount += t.modifiedCount;
+        }
+
+        await submissions.updateOne({ _id: submissionId }, {
+            $set: {
+                status: 'DONE',
+                finished_at: new Date(),
+                order_count: orders.length,
+                confirmed_count: confirmedCount,
+                failed_count: failedCount
+            }
+        });
+
+        res.json({
+            success: true,
+            batchId,
+            confirmedCount,
+            failedCount,
+            replayedCount: replayed.length,   // 이전 전송 결과로 전이만 한 주문 (재전송 안 함)
+            slipNos: apiResult.slipNos,
+            results: [...orderResults, ...replayed]
+        });
+    } catch (error) {
+        console.error("🔥 이카운트 API 전송 오류:", error.message);
+        if (submissionId) {
+            await submissions.updateOne(
+                { _id: submissionId },
+                { $set: { status: 'ERROR', finished_at: new Date(), error: error.message } }
+            ).catch(() => {});
+        }
+        res.status(502).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/ordersOffData/counts', async (req, res) => {
+    try {
+        const [pending, exported, failed] = await Promise.all([
+            db.collection(COLLECTION_ORDERS).countDocuments({
+                is_deleted: { $ne: true },
+                $or: [
+                    { status: ORDER_STATUS.PENDING },
+                    { status: { $exists: false }, is_synced: { $ne: true } }
+                ]
+            }),
+            db.collection(COLLECTION_ORDERS).countDocuments({
+                is_deleted: { $ne: true },
+                status: ORDER_STATUS.EXPORTED
+            }),
+            db.collection(COLLECTION_ORDERS).countDocuments({
+                is_deleted: { $ne: true },
+                status: ORDER_STATUS.FAILED
+            })
+        ]);
+
+        res.json({ success: true, data: { pending, exported, failed } });
+    } catch (error) {
+        console.error("🔥 counts 조회 오류:", error);
+        res.status(500).json({ success: false });
+    }
+});
+
+// ==========================================
+// 🆕 [6-3] 자동 복구 (Stale EXPORTED → PENDING)
+// ==========================================
+
+/**
+ * 🆕 핵심 자동 복구 로직 (재사용 가능한 함수)
+ * - status: EXPORTED + downloaded_at이 30분 이상 경과 + auto_requeued !== true
+ * - 1회만 자동 복구 (auto_requeued: true 플래그로 무한 루프 방지)
+ */
+async function performAutoRequeue(actor = 'system') {
+    try {
+        if (!db) return { requeuedCount: 0, targets: [] };
+        
+        const staleThreshold = new Date(Date.now() - AUTO_REQUEUE_STALE_MINUTES * 60 * 1000);
+
+        // 1. 대상 조회 (응답/로그용)
+        const staleFilter = {
+            status: ORDER_STATUS.EXPORTED,
             excel_downloaded_at: { $lte: staleThreshold, $ne: null },
             auto_requeued: { $ne: true },
             is_deleted: { $ne: true }
-        }).project({
+        };
+        const targets = await db.collection(COLLECTION_ORDERS).find(staleFilter).project({
             _id: 1, store_name: 1, customer_name: 1,
             excel_batch_id: 1, excel_downloaded_at: 1, total_amount: 1
         }).toArray();
@@ -1223,26 +1882,14 @@ async function performAutoRequeue() {
             return { requeuedCount: 0, targets: [] };
         }
 
-        const targetIds = targets.map(t => t._id);
-
-        // 2. 일괄 업데이트
-        const result = await db.collection(COLLECTION_ORDERS).updateMany(
-            { _id: { $in: targetIds } },
-            {
-                $set: {
-                    status: ORDER_STATUS.PENDING,
-                    auto_requeued: true,                     // 🔥 1회 제한 플래그
-                    auto_requeued_at: new Date(),
-                    is_synced: false,
-                    synced_at: null,
-                    ecount_success: null,
-                    ecount_message: null,
-                    excel_batch_id: null,
-                    excel_downloaded_at: null
-                },
-                $inc: { auto_requeue_count: 1 }
-            }
-        );
+        // 2. 상태 머신으로 일괄 전이 (auto_requeued: true → 1회 제한)
+        const result = await transitionOrders({
+            filter: { ...staleFilter, _id: { $in: targets.map(t => t._id) } },
+            to: ORDER_STATUS.PENDING,
+            route: 'auto-requeue',
+            actor,
+            onIllegal: 'skip'
+        });
 
         // 3. 로깅
         console.log(`[AUTO-REQUEUE] ${new Date().toISOString()} - ${result.modifiedCount}건 자동 복구`);
@@ -1260,8 +1907,8 @@ async function performAutoRequeue() {
 /**
  * 🆕 [POST] 수동 트리거 (프론트엔드에서 호출)
  */
-app.post('/api/ordersOffData/auto-requeue', async (req, res) => {
-    const result = await performAutoRequeue();
+app.post('/api/ordersOffData/auto-requeue', requirePermission('order:batch'), async (req, res) => {
+    const result = await performAutoRequeue(getActor(req));
     if (result.error) {
         return res.status(500).json({ success: false, message: result.error });
     }
@@ -1358,30 +2005,371 @@ app.get('/api/ecount-stores', async (req, res) => {
     const stores = await db.collection(COLLECTION_STORES).find({}).toArray();
     res.json({ success: true, data: stores });
 });
-app.put('/api/ecount-stores', async (req, res) => {
-    await db.collection(COLLECTION_STORES).deleteMany({});
-    if(req.body.data.length > 0) await db.collection(COLLECTION_STORES).insertMany(req.body.data.map(i => ({...i, updated_at: new Date()})));
-    res.json({ success: true });
-});
 
 app.get('/api/static-managers', async (req, res) => {
     const managers = await db.collection(COLLECTION_STATIC_MANAGERS).find({}).toArray();
     res.json({ success: true, data: managers });
 });
-app.put('/api/static-managers', async (req, res) => {
-    await db.collection(COLLECTION_STATIC_MANAGERS).deleteMany({});
-    if(req.body.data.length > 0) await db.collection(COLLECTION_STATIC_MANAGERS).insertMany(req.body.data.map(i => ({...i, updated_at: new Date()})));
-    res.json({ success: true });
-});
 
 app.get('/api/ecount-warehouses', async (req, res) => {
     const warehouses = await db.collection(COLLECTION_WAREHOUSES).find({}).toArray();
     res.json({ success: true, data: warehouses });
 });
-app.put('/api/ecount-warehouses', async (req, res) => {
-    await db.collection(COLLECTION_WAREHOUSES).deleteMany({});
-    if(req.body.data.length > 0) await db.collection(COLLECTION_WAREHOUSES).insertMany(req.body.data.map(i => ({...i, updated_at: new Date()})));
-    res.json({ success: true });
+
+// ==========================================
+// 🗂️ [7-1] 마스터 데이터 버전 관리 (매장 / 창고 / 담당자)
+// - 건별 등록·수정·삭제 + 일괄 교체(import) 모두 트랜잭션 안에서 반영 + 변경 후 스냅샷을 버전으로 기록
+//   (트랜잭션은 레플리카셋 필요 — 단일 서버 MongoDB 면 세션 없이 순서대로 반영, 부팅 시 경고)
+// - 잘못 올린 목록은 이전 버전 스냅샷으로 롤백
+// ==========================================
+const MASTER_COLLECTIONS = {
+    stores: COLLECTION_STORES,
+    warehouses: COLLECTION_WAREHOUSES,
+    managers: COLLECTION_STATIC_MANAGERS
+};
+
+/**
+ * 마스터 변경 실행 (트랜잭션 — 지원하지 않는 단일 서버면 session 없이 실행)
+ * @param {Function} mutate - async (collection, session) => 변경 수행 (session 은 undefined 일 수 있음)
+ * @returns {object} { version, summary }
+ */
+async function commitMasterChange(type, { action, actor, recordKey = null, note = null }, mutate) {
+    const collection = db.collection(MASTER_COLLECTIONS[type]);
+    const session = transactionsSupported ? mongoClient.startSession() : undefined;
+    try {
+        let committed;
+        const apply = async () => {
+            const before = await collection.find({}, { session }).toArray();
+            await mutate(collection, session);
+            const after = await collection.find({}, { session }).toArray();
+            const counter = await db.collection(COLLECTION_COUNTERS).findOneAndUpdate(
+                { _id: `master_version:${type}` },
+                { $inc: { seq: 1 } },
+                { upsert: true, returnDocument: 'after', session }
+            );
+            const summary = diffMasterRecords(type, before, after);
+            await db.collection(COLLECTION_MASTER_VERSIONS).insertOne({
+                type,
+                version: counter.seq,
+                action,
+                actor,
+                record_key: recordKey,
+                note,
+                summary,
+                record_count: after.length,
+                snapshot: after.map(stripSystemFields),
+                created_at: new Date()
+            }, { session });
+            committed = { version: counter.seq, summary };
+        };
+        if (session) await session.withTransaction(apply);
+        else await apply();
+        // 🆕 담당자 프로필(직급/기준시간 등) 변경 → 해당 담당자 근무 기록 재계산
+        if (type === 'managers' && committed.summary.changed.length > 0) {
+            await applyManagerProfileChanges(committed.summary.changed)
+                .catch(e => console.error('⚠️ 담당자 프로필 변경 후 근무 재계산 실패:', e.message));
+        }
+        return committed;
+    } finally {
+        if (session) await session.endSession();
+    }
+}
+
+// 전체 교체 (일괄 등록 / 롤백 공용)
+function replaceAllMasterRecords(records) {
+    const now = new Date();
+    return async (collection, session) => {
+        await collection.deleteMany({}, { session });
+        await collection.insertMany(records.map(r => ({ ...r, updated_at: now })), { session });
+    };
+}
+
+function getMasterType(req, res) {
+    const type = req.params.type;
+    if (!MASTER_TYPES[type]) {
+        res.status(404).json({ success: false, message: '알 수 없는 마스터 데이터 종류입니다. (stores / warehouses / managers)' });
+        return null;
+    }
+    return type;
+}
+
+/**
+ * 🆕 매장 ↔ 창고/담당자 참조 무결성 검사
+ * - stores 저장 시: 기본 창고 / 배정 담당자 코드가 실제로 있는지
+ * - warehouses / managers 에서 코드가 빠질 때: 그 코드를 쓰는 매장이 없는지
+ * @param {Array} records - 저장 후 해당 type 의 전체(또는 변경) 레코드
+ * @returns {string|null} 오류 메시지
+ */
+async function checkStoreReferences(type, records) {
+    if (type === 'stores') {
+        const [warehouses, managers] = await Promise.all([
+            db.collection(COLLECTION_WAREHOUSES).find({}).project({ warehouse_code: 1 }).toArray(),
+            db.collection(COLLECTION_STATIC_MANAGERS).find({}).project({ manager_code: 1 }).toArray()
+        ]);
+        const whCodes = new Set(warehouses.map(w => String(w.warehouse_code)));
+        const mgrCodes = new Set(managers.map(m => String(m.manager_code)));
+        for (const st of records) {
+            if (st.warehouse_code && !whCodes.has(String(st.warehouse_code))) return `${st.name}: 없는 창고 코드입니다. (${st.warehouse_code})`;
+            const missing = (st.manager_codes || []).filter(c => !mgrCodes.has(String(c)));
+            if (missing.length > 0) return `${st.name}: 없는 담당자 코드입니다. (${missing.join(', ')})`;
+        }
+        return null;
+    }
+    const { key } = MASTER_TYPES[type];
+    const remaining = new Set(records.map(r => String(r[key])));
+    const refField = type === 'warehouses' ? 'warehouse_code' : 'manager_codes';
+    const stores = await db.collection(COLLECTION_STORES).find({ [refField]: { $exists: true, $ne: null } }).toArray();
+    for (const st of stores) {
+        const refs = type === 'warehouses' ? [st.warehouse_code] : (st.manager_codes || []);
+        const dangling = refs.filter(c => c && !remaining.has(String(c)));
+        if (dangling.length > 0) return `매장 ${st.name} 이(가) 사용 중인 코드는 삭제할 수 없습니다. (${dangling.join(', ')})`;
+    }
+    return null;
+}
+
+// 🆕 코드 외 고유 필드(매장 order_prefix 등)가 다른 레코드와 겹치는지 — 단건 등록/수정용 (일괄 교체는 validateMasterImport 에서 검사)
+async function checkMasterUniqueFields(type, value) {
+    const { key, nameField, unique = [] } = MASTER_TYPES[type];
+    for (const field of unique) {
+        if (!value[field]) continue;
+        const other = await db.collection(MASTER_COLLECTIONS[type]).findOne({ [field]: value[field], [key]: { $ne: value[key] } });
+        if (other) return `${field} ${value[field]} 은(는) 이미 ${other[nameField]} 에서 사용 중입니다.`;
+    }
+    return null;
+}
+
+// 일괄 교체 — 기존 PUT(/api/ecount-stores 등)과 신규 import 가 같이 사용
+async function importMasterRecords(type, data, req, res) {
+    const { value, error, errors } = validateMasterImport(type, data);
+    if (error) return res.status(400).json({ success: false, message: error, errors });
+    const refError = await checkStoreReferences(type, value);
+    if (refError) return res.status(409).json({ success: false, message: refError });
+    const result = await commitMasterChange(type, { action: 'import', actor: getActor(req), note: req.body.note || null }, replaceAllMasterRecords(value));
+    res.json({ success: true, count: value.length, ...result });
+}
+
+// 🟡 [기존 호환] 전체 목록 PUT → 검증 + 트랜잭션 일괄 교체로 처리
+[['/api/ecount-stores', 'stores'], ['/api/static-managers', 'managers'], ['/api/ecount-warehouses', 'warehouses']].forEach(([url, type]) => {
+    app.put(url, requirePermission(type === 'managers' ? 'master:managers' : 'master:write'), async (req, res) => {
+        try {
+            await importMasterRecords(type, req.body.data, req, res);
+        } catch (e) {
+            console.error(`🔥 마스터(${type}) 저장 오류:`, e.message);
+            res.status(500).json({ success: false, message: e.message });
+        }
+    });
+});
+
+app.post('/api/master/:type/import', requirePermission(masterPermission), async (req, res) => {
+    try {
+        const type = getMasterType(req, res);
+        if (!type) return;
+        await importMasterRecords(type, req.body.data, req, res);
+    } catch (e) {
+        console.error("🔥 마스터 일괄 등록 오류:", e.message);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+app.post('/api/master/:type', requirePermission(masterPermission), async (req, res) => {
+    try {
+        const type = getMasterType(req, res);
+        if (!type) return;
+        const { key } = MASTER_TYPES[type];
+        const { value, error } = validateMasterRecord(type, req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const collection = db.collection(MASTER_COLLECTIONS[type]);
+        if (await collection.findOne({ [key]: value[key] })) {
+            return res.status(409).json({ success: false, message: `이미 등록된 코드입니다. (${value[key]})` });
+        }
+        const uniqueError = await checkMasterUniqueFields(type, value);
+        if (uniqueError) return res.status(409).json({ success: false, message: uniqueError });
+        if (type === 'stores') {
+            const refError = await checkStoreReferences(type, [value]);
+            if (refError) return res.status(409).json({ success: false, message: refError });
+        }
+        const result = await commitMasterChange(type, { action: 'create', actor: getActor(req), recordKey: value[key] }, async (col, session) => {
+            const now = new Date();
+            await col.insertOne({ ...value, created_at: now, updated_at: now }, { session });
+        });
+        res.json({ success: true, data: value, ...result });
+    } catch (e) {
+        console.error("🔥 마스터 등록 오류:", e.message);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+app.put('/api/master/:type/:key', requirePermission(masterPermission), async (req, res) => {
+    try {
+        const type = getMasterType(req, res);
+        if (!type) return;
+        const { key } = MASTER_TYPES[type];
+        const collection = db.collection(MASTER_COLLECTIONS[type]);
+        const current = await collection.findOne({ [key]: req.params.key });
+        if (!current) return res.status(404).json({ success: false, message: '해당 코드가 없습니다.' });
+
+        // 코드 변경은 삭제 후 재등록으로만 — 주문에 남은 코드와 어긋나지 않도록
+        const { value, error } = validateMasterRecord(type, { ...stripSystemFields(current), ...req.body, [key]: req.params.key });
+        if (error) return res.status(400).json({ success: false, message: error });
+        const uniqueError = await checkMasterUniqueFields(type, value);
+        if (uniqueError) return res.status(409).json({ success: false, message: uniqueError });
+        if (type === 'stores') {
+            const refError = await checkStoreReferences(type, [value]);
+            if (refError) return res.status(409).json({ success: false, message: refError });
+        }
+
+        const result = await commitMasterChange(type, { action: 'update', actor: getActor(req), recordKey: req.params.key }, async (col, session) => {
+            await col.replaceOne({ _id: current._id }, { ...value, created_at: current.created_at || null, updated_at: new Date() }, { session });
+        });
+        res.json({ success: true, data: value, ...result });
+    } catch (e) {
+        console.error("🔥 마스터 수정 오류:", e.message);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+app.delete('/api/master/:type/:key', requirePermission(masterPermission), async (req, res) => {
+    try {
+        const type = getMasterType(req, res);
+        if (!type) return;
+        const { key } = MASTER_TYPES[type];
+        const collection = db.collection(MASTER_COLLECTIONS[type]);
+        if (!(await collection.findOne({ [key]: req.params.key }))) return res.status(404).json({ success: false, message: '해당 코드가 없습니다.' });
+        if (type !== 'stores') {
+            const others = await collection.find({ [key]: { $ne: req.params.key } }).project({ [key]: 1 }).toArray();
+            const refError = await checkStoreReferences(type, others);
+            if (refError) return res.status(409).json({ success: false, message: refError });
+        }
+
+        const result = await commitMasterChange(type, { action: 'delete', actor: getActor(req), recordKey: req.params.key }, async (col, session) => {
+            await col.deleteOne({ [key]: req.params.key }, { session });
+        });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        console.error("🔥 마스터 삭제 오류:", e.message);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 버전 목록 (스냅샷 제외)
+app.get('/api/master/:type/versions', async (req, res) => {
+    try {
+        const type = getMasterType(req, res);
+        if (!type) return;
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+        const versions = await db.collection(COLLECTION_MASTER_VERSIONS)
+            .find({ type })
+            .project({ snapshot: 0 })
+            .sort({ version: -1 })
+            .limit(limit)
+            .toArray();
+        res.json({ success: true, data: versions });
+    } catch (e) { res.status(500).json({ success: false }); }
+});
+
+app.get('/api/master/:type/versions/:version', async (req, res) => {
+    try {
+        const type = getMasterType(req, res);
+        if (!type) return;
+        const version = await db.collection(COLLECTION_MASTER_VERSIONS).findOne({ type, version: Number(req.params.version) });
+        if (!version) return res.status(404).json({ success: false, message: '해당 버전이 없습니다.' });
+        res.json({ success: true, data: version });
+    } catch (e) { res.status(500).json({ success: false }); }
+});
+
+// 롤백 = 해당 버전 스냅샷으로 전체 교체 (롤백 자체도 새 버전으로 기록)
+app.post('/api/master/:type/versions/:version/rollback', requirePermission(masterPermission), async (req, res) => {
+    try {
+        const type = getMasterType(req, res);
+        if (!type) return;
+        const target = await db.collection(COLLECTION_MASTER_VERSIONS).findOne({ type, version: Number(req.params.version) });
+        if (!target) return res.status(404).json({ success: false, message: '해당 버전이 없습니다.' });
+        if (!Array.isArray(target.snapshot) || target.snapshot.length === 0) {
+            return res.status(400).json({ success: false, message: '빈 스냅샷으로는 롤백할 수 없습니다.' });
+        }
+        const refError = await checkStoreReferences(type, target.snapshot);
+        if (refError) return res.status(409).json({ success: false, message: refError });
+
+        const result = await commitMasterChange(type, {
+            action: 'rollback',
+            actor: getActor(req),
+            note: `v${target.version} 으로 롤백`
+        }, replaceAllMasterRecords(target.snapshot));
+        res.json({ success: true, rolledBackTo: target.version, ...result });
+    } catch (e) {
+        console.error("🔥 마스터 롤백 오류:", e.message);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// ==========================================
+// 🏬 [7-1-1] 통합 매장 정보 (거래처코드 + 기본 창고 + 배정 담당자 + 영업시간)
+// - 주문 폼 / 엑셀 생성이 매장 기본값을 자동으로 채울 때 사용
+// ==========================================
+async function loadStoreDirectory() {
+    const [stores, warehouses, managers] = await Promise.all([
+        db.collection(COLLECTION_STORES).find({}).toArray(),
+        db.collection(COLLECTION_WAREHOUSES).find({}).toArray(),
+        db.collection(COLLECTION_STATIC_MANAGERS).find({}).toArray()
+    ]);
+    const whByCode = new Map(warehouses.map(w => [String(w.warehouse_code), w]));
+    const mgrByCode = new Map(managers.map(m => [String(m.manager_code), m]));
+
+    return stores.map(st => {
+        const wh = st.warehouse_code ? whByCode.get(String(st.warehouse_code)) : null;
+        const storeManagers = (st.manager_codes || []).map(c => {
+            const m = mgrByCode.get(String(c));
+            return { manager_code: String(c), manager_name: m ? m.manager_name : null };
+        });
+        return {
+            store_code: String(st.code),
+            store_name: st.name,
+            is_active: st.is_active !== false,
+            order_prefix: st.order_prefix || null,
+            warehouse_code: wh ? String(wh.warehouse_code) : null,
+            warehouse_name: wh ? wh.warehouse_name : null,
+            managers: storeManagers,
+            opening_hours: st.opening_hours || null
+        };
+    });
+}
+
+app.get('/api/stores', async (req, res) => {
+    try {
+        let stores = await loadStoreDirectory();
+        if (req.query.active === 'true') stores = stores.filter(st => st.is_active);
+        stores.sort((a, b) => a.store_name.localeCompare(b.store_name, 'ko'));
+        res.json({ success: true, count: stores.length, data: stores });
+    } catch (e) {
+        console.error("🔥 매장 목록 조회 오류:", e.message);
+        res.status(500).json({ success: false });
+    }
+});
+
+// 주문 폼 자동 채우기용 기본값 (?store_name= 또는 ?store_code=)
+app.get('/api/stores/defaults', async (req, res) => {
+    try {
+        const { store_name, store_code } = req.query;
+        if (!store_name && !store_code) return res.status(400).json({ success: false, message: 'store_name 또는 store_code가 필요합니다.' });
+        const stores = await loadStoreDirectory();
+        const st = stores.find(x => (store_code && x.store_code === String(store_code)) || (store_name && x.store_name === store_name));
+        if (!st) return res.status(404).json({ success: false, message: '매장을 찾을 수 없습니다.' });
+
+        const first = st.managers[0] || null;
+        res.json({
+            success: true,
+            data: {
+                ...st,
+                warehouse_code: st.warehouse_code || DEFAULT_WAREHOUSE_CODE,
+                manager_code: first ? first.manager_code : null,
+                manager_name: first ? first.manager_name : null
+            }
+        });
+    } catch (e) {
+        console.error("🔥 매장 기본값 조회 오류:", e.message);
+        res.status(500).json({ success: false });
+    }
 });
 
 app.get('/api/cs-memos/:orderId', async (req, res) => {
@@ -1396,7 +2384,7 @@ app.get('/api/cs-memos/:orderId', async (req, res) => {
 });
 
 // 🆕 댓글/대댓글 등록 — parent_id 있으면 대댓글
-app.post('/api/cs-memos', async (req, res) => {
+app.post('/api/cs-memos', requirePermission('order:memo'), async (req, res) => {
     try {
         const { orderId, content, writer, parent_id } = req.body;
         if (!orderId || !content || !String(content).trim()) {
@@ -1418,7 +2406,7 @@ app.post('/api/cs-memos', async (req, res) => {
 });
 
 // 댓글 삭제 — 부모 삭제 시 대댓글도 함께 삭제
-app.delete('/api/cs-memos/:id', async (req, res) => {
+app.delete('/api/cs-memos/:id', requirePermission('order:memo'), async (req, res) => {
     try {
         if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false });
         const id = new ObjectId(req.params.id);
@@ -1433,7 +2421,7 @@ app.delete('/api/cs-memos/:id', async (req, res) => {
 // ==========================================
 // [신규] 주문 메모 업데이트 API
 // ==========================================
-app.patch('/api/ordersOffData/:id/memo', async (req, res) => {
+app.patch('/api/ordersOffData/:id/memo', requirePermission('order:memo'), async (req, res) => {
     try {
         const { id } = req.params;
         const { cs_memo } = req.body;
@@ -1542,12 +2530,13 @@ app.get('/api/admin/mapping-test-batch', async (req, res) => {
 // ==========================================
 // [신규] 수동 확정대기 -> 미등록 강제 이동 API (매니저 권한 재전송)
 // ==========================================
-app.post('/api/ordersOffData/force-pending', async (req, res) => {
+app.post('/api/ordersOffData/force-pending', requirePermission('order:transition'), async (req, res) => {
     try {
         const { orderIds } = req.body;
         let filter = { 
             status: ORDER_STATUS.EXPORTED, 
-            is_deleted: { $ne: true } 
+            is_deleted: { $ne: true },
+            ...storeScope(req)
         };
 
         // 프론트에서 특정 주문(들)의 ID를 넘기면 해당 주문만, 안 넘기면 전체 확정대기 주문을 대상으로 함
@@ -1556,25 +2545,18 @@ app.post('/api/ordersOffData/force-pending', async (req, res) => {
                 return res.json({ success: true, modifiedCount: 0, message: '선택된 주문이 없습니다.' });
             }
             const validIds = orderIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
-            filter._id = { $in: validIds };
+            // 지정 주문 중 확정대기가 아닌 건이 있으면 409 (상태 조건을 빼서 불법 전이 감지)
+            filter = { _id: { $in: validIds }, is_deleted: { $ne: true }, ...storeScope(req) };
         }
 
-        const result = await db.collection(COLLECTION_ORDERS).updateMany(
+        // auto_requeued 초기화(다음 매크로 누락 시 자동복구 재적용)는 PENDING 전이 표준 처리
+        const result = await transitionOrders({
             filter,
-            {
-                $set: {
-                    status: ORDER_STATUS.PENDING,
-                    is_synced: false,
-                    synced_at: null,
-                    ecount_success: null,
-                    ecount_message: null,
-                    excel_batch_id: null,
-                    excel_downloaded_at: null,
-                    auto_requeued: false, // 다음 매크로 누락 시 다시 자동복구가 탈 수 있도록 초기화
-                    macro_miss_count: 0
-                }
-            }
-        );
+            to: ORDER_STATUS.PENDING,
+            route: 'force-pending',
+            actor: getActor(req)
+        });
+        if (result.error) return sendTransitionConflict(res, result);
 
         res.json({ success: true, modifiedCount: result.modifiedCount });
     } catch (error) {
@@ -1790,10 +2772,10 @@ function matchOrderShipments(order, shipments) {
 async function ensureDeliveryIndexes() {
     try {
         const col = db.collection(COLLECTION_DELIVERIES);
-        await col.createIndex({ store_name_norm: 1, customer_name_norm: 1, customer_phone_norm: 1 });
-        await col.createIndex({ tracking_no: 1 });
-        await col.createIndex({ order_no: 1 });
-        await col.createIndex({ uploaded_at: -1 });
+        await ensureIndex(col, { store_name_norm: 1, customer_name_norm: 1, customer_phone_norm: 1 });
+        await ensureIndex(col, { tracking_no: 1 });
+        await ensureIndex(col, { order_no: 1 });
+        await ensureIndex(col, { uploaded_at: -1 });
         console.log("✅ Delivery 인덱스 확인 완료");
     } catch (e) {
         console.error("⚠️ Delivery 인덱스 오류:", e.message);
@@ -1808,7 +2790,7 @@ async function ensureDeliveryIndexes() {
  *   - replaceMode=true (또는 미지정+isFirstChunk=true): 기존 데이터 삭제 후 insert
  *   - replaceMode=false: 단순 append (이어붙이기)
  */
-app.post('/api/deliveries/bulk-upload', async (req, res) => {
+app.post('/api/deliveries/bulk-upload', requirePermission('delivery:write'), async (req, res) => {
     try {
         const { rows, fileName, replaceMode, isFirstChunk, isLastChunk, totalChunks, chunkIndex } = req.body;
         if (!Array.isArray(rows) || rows.length === 0) {
@@ -1915,7 +2897,7 @@ app.get('/api/deliveries/last-upload', async (req, res) => {
 });
 
 // 🆕 출하 수동 정상 처리 토글 (관리자가 오배송 오인 케이스를 정리)
-app.post('/api/deliveries/verify', async (req, res) => {
+app.post('/api/deliveries/verify', requirePermission('delivery:write'), async (req, res) => {
     try {
         const { tracking_no, verified = true, note = '' } = req.body;
         if (!tracking_no) return res.status(400).json({ success: false, message: 'tracking_no 필요' });
@@ -1942,7 +2924,7 @@ app.post('/api/deliveries/verify', async (req, res) => {
     }
 });
 
-app.delete('/api/deliveries/clear', async (req, res) => {
+app.delete('/api/deliveries/clear', requirePermission('delivery:write'), async (req, res) => {
     try {
         const { batchId } = req.query;
         const filter = batchId ? { batch_id: batchId } : { _meta: { $exists: false } };
@@ -2239,21 +3221,112 @@ app.get('/api/deliveries/shipping-status', async (req, res) => {
 // 🕐 [7-3] 매니저 근무·시차 관리 (workHours)
 // ==========================================
 // - 카테고리: WORK(정상근무) / FLEX_USE(시차사용) / LEAVE(휴가) / HOLIDAY(휴일)
-// - WORK: 출퇴근 시간으로 work_hours 계산 → 표준(8h) 초과 시 flex_delta 적립
+// - WORK: 출퇴근 시간으로 work_hours 계산 → 기준시간(근무 정책 캘린더) 초과 시 flex_delta 적립
 // - FLEX_USE: flex_use_hours만큼 잔여에서 차감
 // - 잔여 = SUM(flex_delta of WORK) - SUM(flex_use_hours of FLEX_USE)
 
 async function ensureWorkHoursIndexes() {
     try {
         const col = db.collection(COLLECTION_WORK_HOURS);
-        await col.createIndex({ manager_id: 1, work_date: 1 }, { unique: false });
-        await col.createIndex({ manager_id: 1, year_month: 1 });
+        await ensureIndex(col, { manager_id: 1, work_date: 1 }, { unique: false });
+        await ensureIndex(col, { manager_id: 1, year_month: 1 });
+        await ensureIndex(db.collection(COLLECTION_SHIFT_PLANS), { manager_id: 1, work_date: 1 }, { unique: true });
+        await ensureIndex(db.collection(COLLECTION_SHIFT_PLANS), { store_name: 1, work_date: 1 });
+        await ensureIndex(db.collection(COLLECTION_PUNCH_EVENTS), { manager_id: 1, punched_at: -1 });
+        // 담당자당 출근만 찍힌(퇴근 전) 기록은 1건만
+        await ensureIndex(col, { manager_id: 1, punch_status: 1 }, { unique: true, partialFilterExpression: { punch_status: 'OPEN' } });
+        // 월말 마감 조정은 담당자 × 월 × 종류(소멸/정산)별 1건
+        await ensureIndex(col, { manager_id: 1, flex_close_month: 1, flex_close_type: 1 }, { unique: true, partialFilterExpression: { flex_close_type: { $exists: true } } });
         console.log("✅ workHours 인덱스 확인 완료");
     } catch (e) {
         console.error("⚠️ workHours 인덱스 오류:", e.message);
     }
 }
 
+// ==========================================
+// 🗓️ [7-3-1] 근무 정책 캘린더 (기준 근무시간)
+// - 요일별 기준시간 / 공휴일 기준시간 / 날짜별 지정값 → workPolicy 컬렉션 단일 문서
+// - 담당자 계약시간(staticManagers.standard_hours)은 요일별 기준보다 우선
+// ==========================================
+async function loadWorkPolicy() {
+    try {
+        const doc = await db.collection(COLLECTION_WORK_POLICY).findOne({ _id: 'default' });
+        if (doc) {
+            const { value } = normalizeWorkPolicy(doc, DEFAULT_WORK_POLICY);
+            if (value) workPolicy = value;
+        }
+        console.log(`✅ 근무 정책 로드 (공휴일 ${KOREAN_HOLIDAYS.size}일)`);
+    } catch (e) {
+        console.error("⚠️ 근무 정책 로드 오류 — 기본값 사용:", e.message);
+    }
+}
+
+// 정책 변경 후 fromDate 이후 기록 재계산 (매니저 × 날짜) — 급여 마감된 달은 제외
+async function recomputeWorkHoursFrom(fromDate) {
+    const pairs = await db.collection(COLLECTION_WORK_HOURS).aggregate([
+        { $match: { work_date: { $gte: fromDate }, year_month: { $nin: [...lockedMonths] } } },
+        { $group: { _id: { manager_id: '$manager_id', work_date: '$work_date' } } }
+    ]).toArray();
+    for (const p of pairs) await recomputeDailyFlex(p._id.manager_id, p._id.work_date);
+    return pairs.length;
+}
+
+app.get('/api/work-hours/policy', (req, res) => {
+    res.json({ success: true, data: workPolicy });
+});
+
+// body: { weekday_hours?, holiday_hours?, date_overrides?, flex_expiry_months?, flex_debt_clear?, recompute_from?: 'YYYY-MM-DD' }
+app.put('/api/work-hours/policy', requirePermission('work-hours:admin'), async (req, res) => {
+    try {
+        const { value, error } = normalizeWorkPolicy(req.body, workPolicy);
+        if (error) return res.status(400).json({ success: false, message: error });
+        const { recompute_from } = req.body;
+        if (recompute_from && !/^\d{4}-\d{2}-\d{2}$/.test(recompute_from)) {
+            return res.status(400).json({ success: false, message: 'recompute_from 형식 오류 (YYYY-MM-DD)' });
+        }
+
+        await db.collection(COLLECTION_WORK_POLICY).updateOne(
+            { _id: 'default' },
+            { $set: { ...value, updated_by: getActor(req), updated_at: new Date() } },
+            { upsert: true }
+        );
+        workPolicy = value;
+        const recomputed = recompute_from ? await recomputeWorkHoursFrom(recompute_from) : 0;
+        res.json({ success: true, data: value, recomputed });
+    } catch (e) {
+        console.error('🔥 근무 정책 저장 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 월별 기준시간 달력 — manager_id 지정 시 계약시간 반영
+app.get('/api/work-hours/calendar', async (req, res) => {
+    try {
+        const { month, manager_id } = req.query;
+        if (!month || !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ success: false, message: 'month(YYYY-MM) 필수' });
+        const profile = manager_id ? await getManagerProfile(manager_id) : null;
+        const [y, m] = month.split('-').map(Number);
+        const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+        const days = [];
+        for (let d = 1; d <= lastDay; d++) {
+            const date = `${month}-${String(d).padStart(2, '0')}`;
+            const std = resolveManagerStandardHours(profile, date);
+            days.push({
+                date,
+                weekday: new Date(`${date}T00:00:00Z`).getUTCDay(),
+                standard_hours: std.hours,
+                source: std.source,
+                company_hours: getStandardHoursByDate(date),
+                holiday: std.holiday
+            });
+        }
+        res.json({ success: true, month, manager_id: manager_id || null, data: days });
+    } catch (e) {
+        console.error('🔥 근무 달력 조회 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
 // 시:분 문자열 → 분 단위 환산
 function hhmmToMinutes(s) {
     if (!s || typeof s !== 'string') return null;
@@ -2299,20 +3372,77 @@ function getBreakMinutesForGrossHours(grossHours) {
     return 0;
 }
 
+// 🆕 담당자 프로필 (staticManagers) — 직급/소속매장/기준시간은 요청값 대신 여기서 읽음
+//   - manager_id 는 staticManagers.manager_code
+//   - 프로필이 없는 (마스터 미등록) 담당자는 기존처럼 요청값 사용
+async function getManagerProfile(managerId) {
+    if (!managerId) return null;
+    return db.collection(COLLECTION_STATIC_MANAGERS).findOne({ manager_code: String(managerId) });
+}
+
+async function getManagerProfileMap(managerIds) {
+    const ids = [...new Set(managerIds.filter(Boolean).map(String))];
+    if (ids.length === 0) return new Map();
+    const profiles = await db.collection(COLLECTION_STATIC_MANAGERS).find({ manager_code: { $in: ids } }).toArray();
+    return new Map(profiles.map(p => [String(p.manager_code), p]));
+}
+
+// 담당자 기준시간 — 날짜 지정값 > 공휴일 > 계약시간 > 요일별 기준
+// @returns {object} { hours, source, holiday }
+function resolveManagerStandardHours(profile, dateStr) {
+    return resolveStandardHours(dateStr, {
+        policy: workPolicy,
+        holidays: KOREAN_HOLIDAYS,
+        contractHours: profile && profile.standard_hours != null ? Number(profile.standard_hours) : null
+    });
+}
+
+// 입사 전 / 퇴사 후 날짜 입력 차단
+// @returns {string|null} 오류 메시지
+function checkManagerEmployment(profile, workDate) {
+    if (!profile) return null;
+    if (profile.hire_date && workDate < profile.hire_date) return `${profile.manager_name}: 입사일(${profile.hire_date}) 이전 날짜입니다.`;
+    if (profile.retired_at && workDate > profile.retired_at) return `${profile.manager_name}: 퇴사일(${profile.retired_at}) 이후 날짜입니다.`;
+    if (profile.is_active === false && !profile.retired_at) return `${profile.manager_name}: 비활성(퇴사/휴직) 담당자입니다.`;
+    return null;
+}
+
+// 🆕 프로필 변경 반영: 근무 기록의 이름/직급 스냅샷 갱신 + 날짜별 재계산
+//   (소속매장은 근무 당시 매장 기록이므로 과거 기록은 바꾸지 않음, 급여 마감된 달도 제외)
+async function applyManagerProfileChanges(managerCodes) {
+    const profiles = await getManagerProfileMap(managerCodes);
+    for (const [code, profile] of profiles) {
+        const filter = { manager_id: code, year_month: { $nin: [...lockedMonths] } };
+        await db.collection(COLLECTION_WORK_HOURS).updateMany(
+            filter,
+            { $set: { manager_name: profile.manager_name, manager_role: String(profile.role || '') } }
+        );
+        const dates = await db.collection(COLLECTION_WORK_HOURS).distinct('work_date', filter);
+        for (const d of dates) await recomputeDailyFlex(code, d);
+    }
+}
+
 // 🆕 (manager_id, work_date) 단위로 모든 entry 재계산
 //   - 같은 날 여러 WORK 이 있으면 gross 합산 → 한국 노동법 휴게시간 적용 → 표준 대비 delta 계산
 //   - 각 entry 에 비례 분배해서 저장
 //   - FLEX_USE 는 별도로 -flex_use_hours 추가
 //   - 일급제는 항상 flex_delta = 0
+//   - 급여 마감된 달은 재계산하지 않음 (정책/프로필이 바뀌어도 지급된 값 유지)
 async function recomputeDailyFlex(manager_id, work_date) {
     if (!manager_id || !work_date) return;
+    if (isWorkDateLocked(work_date)) return;
     const dayEntries = await db.collection(COLLECTION_WORK_HOURS)
         .find({ manager_id: String(manager_id), work_date })
         .toArray();
     if (dayEntries.length === 0) return;
 
-    const isDailyWage = dayEntries.some(e => String(e.manager_role || '').trim() === '일급제');
-    const stdHours = getStandardHoursByDate(work_date);
+    // 🆕 직급/기준시간은 프로필 기준 — 직급 변경 시 재계산만으로 과거 기록에도 동일하게 반영
+    const profile = await getManagerProfile(manager_id);
+    const isDailyWage = profile
+        ? String(profile.role || '').trim() === '일급제'
+        : dayEntries.some(e => String(e.manager_role || '').trim() === '일급제');
+    const std = resolveManagerStandardHours(profile, work_date);
+    const stdHours = std.hours;
 
     // WORK entries gross 합산
     let totalGross = 0;
@@ -2367,6 +3497,8 @@ async function recomputeDailyFlex(manager_id, work_date) {
         let entryFlexDelta = 0;
         let entryWorkHours = 0;
         let entryBreak = 0;
+        let entryNight = 0;
+        let entryHoliday = 0;
 
         const myGross = grossById.get(String(e._id)) || 0;
         if (cats.includes('WORK') && myGross > 0) {
@@ -2374,6 +3506,11 @@ async function recomputeDailyFlex(manager_id, work_date) {
             entryFlexDelta += dayWorkDelta * share;
             entryWorkHours = totalNetWork * share;
             entryBreak = Math.round(breakMin * share);
+            // 🆕 가산수당 구분: 야간(22~06시) / 공휴일 근무시간 — 일급제는 계약상 미적용
+            if (!isDailyWage) {
+                entryNight = Math.min(calcNightHours(e.clock_in, e.clock_out), entryWorkHours);
+                entryHoliday = std.holiday ? entryWorkHours : 0;
+            }
         }
         // 🆕 반차는 무조건 work_hours = 0 (자동 인정 없음) — 실제 근무는 별도 WORK 항목으로 등록
         if (cats.includes('FLEX_USE') && !isDailyWage) {
@@ -2383,10 +3520,15 @@ async function recomputeDailyFlex(manager_id, work_date) {
         ops.push(db.collection(COLLECTION_WORK_HOURS).updateOne(
             { _id: e._id },
             { $set: {
+                ...(profile ? { manager_role: String(profile.role || '') } : {}),
                 flex_delta: Math.round(entryFlexDelta * 100) / 100,
                 work_hours: Math.round(entryWorkHours * 100) / 100,
                 standard_hours: stdHours,
+                standard_hours_source: std.source,
+                holiday_name: std.holiday ? std.holiday.name : null,
                 break_minutes: entryBreak,
+                night_hours: Math.round(entryNight * 100) / 100,
+                holiday_hours: Math.round(entryHoliday * 100) / 100,
                 day_total_gross: Math.round(totalGross * 100) / 100,
                 day_total_work: Math.round(totalNetWork * 100) / 100
             }}
@@ -2400,17 +3542,22 @@ async function recomputeDailyFlex(manager_id, work_date) {
 //   FLEX_USE(시차)  : -flex_use_hours
 //   WEEKLY_OFF(주휴)/SUBSTITUTE_OFF(대휴)/ANNUAL_LEAVE(연차)/LEAVE/HOLIDAY : 0
 const VALID_CATEGORIES = ['WORK','FLEX_USE','WEEKLY_OFF','SUBSTITUTE_OFF','ANNUAL_LEAVE','LEAVE','HOLIDAY','FLEX_ADJUSTMENT','BREAK_ADJUSTMENT'];
+const ADJUSTMENT_CATEGORIES = ['FLEX_ADJUSTMENT', 'BREAK_ADJUSTMENT'];   // 근무가 아닌 메타데이터 기록
 
-function buildScheduleDoc(input) {
+// profile: staticManagers 프로필 — 있으면 이름/소속매장/직급/기준시간을 요청값 대신 사용
+function buildScheduleDoc(input, profile = null) {
     const {
-        manager_id, manager_name, store_name,
+        manager_id,
         work_date, categories, category,
         clock_in, clock_out, flex_use_hours,
         flex_use_position,   // 🆕 'FRONT'(늦은출근) | 'BACK'(일찍퇴근) — 기본 BACK
         annual_leave_type,   // 🆕 'FULL' | 'HALF_AM' | 'HALF_PM' (옛 'HALF' 호환)
-        manager_role,        // 🆕 직급 ('일급제'이면 시차 발생/사용 미적용)
         note
     } = input;
+    const manager_name = profile ? profile.manager_name : input.manager_name;
+    // 실제 근무 매장 = 요청의 store_name (지원 근무 포함), 비어 있을 때만 소속 매장
+    const store_name = String(input.store_name || '').trim() || (profile && profile.home_store) || '';
+    const manager_role = profile ? profile.role : input.manager_role;   // 🆕 직급 ('일급제'이면 시차 발생/사용 미적용)
 
     // 단일 또는 배열 모두 수용
     let cats = Array.isArray(categories) ? categories : (category ? [category] : []);
@@ -2419,6 +3566,8 @@ function buildScheduleDoc(input) {
 
     if (!manager_id || !work_date) return { error: 'manager_id / work_date 필수' };
     if (!/^\d{4}-\d{2}-\d{2}$/.test(work_date)) return { error: 'work_date 형식 오류 (YYYY-MM-DD)' };
+    const employmentError = checkManagerEmployment(profile, work_date);
+    if (employmentError) return { error: employmentError };
 
     let work_hours = 0;
     if (cats.includes('WORK')) {
@@ -2429,8 +3578,9 @@ function buildScheduleDoc(input) {
 
     const flexUse = cats.includes('FLEX_USE') ? Number(flex_use_hours || 0) : 0;
 
-    // 🆕 평일 8h / 주말 9h 기준 근무시간으로 flex_delta 계산
-    const stdHours = getStandardHoursByDate(work_date);
+    // 🆕 근무 정책 캘린더 기준시간으로 flex_delta 계산 (저장 후 recomputeDailyFlex 가 하루 단위로 다시 계산)
+    const std = resolveManagerStandardHours(profile, work_date);
+    const stdHours = std.hours;
     const isDailyWage = String(manager_role || '').trim() === '일급제';
     let flex_delta = 0;
     if (!isDailyWage) {
@@ -2468,6 +3618,8 @@ function buildScheduleDoc(input) {
             flex_use_position: cats.includes('FLEX_USE') ? (flex_use_position === 'FRONT' ? 'FRONT' : 'BACK') : null,
             flex_delta: Math.round(flex_delta * 100) / 100,
             standard_hours: stdHours, // 디버깅/확인용
+            standard_hours_source: std.source,   // 🆕 override | holiday | contract | weekday
+            holiday_name: std.holiday ? std.holiday.name : null,
             // 🆕 연차 서브타입
             annual_leave_type: normAnnual,
             // 🆕 직급 기록 (일급제 여부 추적용)
@@ -2496,11 +3648,14 @@ async function validateFlexUse(managerId, workDate, requestedFlexHours) {
 }
 
 // 🆕 _id 가 있으면 그 row 수정, 없으면 항상 insert (같은 날짜 여러 입력 허용)
-app.post('/api/work-hours', async (req, res) => {
+app.post('/api/work-hours', requirePermission('work-hours:write'), async (req, res) => {
     try {
         const { _id, ...input } = req.body;
-        const result = buildScheduleDoc(input);
+        const result = buildScheduleDoc(input, await getManagerProfile(input.manager_id));
         if (result.error) return res.status(400).json({ success: false, message: result.error });
+        if (isOtherStoreRequest(req, result.doc.store_name)) return sendStoreForbidden(res);
+        if (needsApproval(req, result.doc.categories)) return sendApprovalRequired(res);
+        if (isWorkDateLocked(result.doc.work_date)) return sendMonthLocked(res, result.doc.work_date);
 
         // 🆕 FLEX_USE 한도 검증 (수정 모드일 땐 자기 기존 차감분은 복구해서 비교)
         if (result.doc.categories.includes('FLEX_USE')) {
@@ -2519,9 +3674,15 @@ app.post('/api/work-hours', async (req, res) => {
             // 수정 전 날짜 기록 (날짜가 바뀐 경우 옛 날짜도 재계산해야 함)
             const old = await db.collection(COLLECTION_WORK_HOURS).findOne({ _id: new ObjectId(_id) });
             prevDate = old?.work_date || null;
+            if (isWorkDateLocked(prevDate)) return sendMonthLocked(res, prevDate);
+            if (old?.flex_close_type) return res.status(409).json({ success: false, message: '월말 시차 마감(소멸/정산) 기록은 직접 수정할 수 없습니다.' });
+            // 🆕 출퇴근 기록(punch)으로 만든 기록을 직접 수정하면 최초 시각 보존
+            const preserve = {};
+            if (old?.punch_in_event_id && old.original_clock_in === undefined && old.clock_in !== result.doc.clock_in) preserve.original_clock_in = old.clock_in || null;
+            if (old?.punch_in_event_id && old.original_clock_out === undefined && old.clock_out !== result.doc.clock_out) preserve.original_clock_out = old.clock_out || null;
             const r = await db.collection(COLLECTION_WORK_HOURS).updateOne(
                 { _id: new ObjectId(_id) },
-                { $set: result.doc }
+                { $set: { ...result.doc, ...preserve } }
             );
             modifiedCount = r.modifiedCount;
         } else {
@@ -2537,7 +3698,13 @@ app.post('/api/work-hours', async (req, res) => {
             await recomputeDailyFlex(result.doc.manager_id, prevDate);
         }
         const balance = await computeFlexBalance(result.doc.manager_id);
-        res.json({ success: true, upserted, modifiedCount, balance });
+        // 🆕 연차 입력이면 연차 잔여도 함께 반환
+        const leaveBalance = result.doc.categories.includes('ANNUAL_LEAVE')
+            ? await computeManagerLeaveBalance(result.doc.manager_id, getKSTTodayStr())
+            : undefined;
+        // 🆕 주 52시간 / 주휴일 / 연속근무 점검 (저장은 막지 않고 경고만)
+        const [compliance] = await checkWorkCompliance({ managerIds: [result.doc.manager_id], from: result.doc.work_date, to: result.doc.work_date });
+        res.json({ success: true, upserted, modifiedCount, balance, leaveBalance, complianceWarnings: compliance ? compliance.violations : [] });
     } catch (e) {
         console.error('🔥 work-hours POST 오류:', e);
         res.status(500).json({ success: false, message: e.message });
@@ -2561,7 +3728,7 @@ async function validateFlexUseById(managerId, editingId, requestedFlexHours) {
 }
 
 // 🆕 벌크 입력: dates[] × managers[] 매트릭스로 한꺼번에 적용
-app.post('/api/work-hours/bulk', async (req, res) => {
+app.post('/api/work-hours/bulk', requirePermission('work-hours:write'), async (req, res) => {
     try {
         const {
             dates,            // ['YYYY-MM-DD', ...]
@@ -2577,9 +3744,16 @@ app.post('/api/work-hours/bulk', async (req, res) => {
         if (!Array.isArray(dates) || dates.length === 0) return res.status(400).json({ success: false, message: 'dates 필수' });
         if (!Array.isArray(managers) || managers.length === 0) return res.status(400).json({ success: false, message: 'managers 필수' });
         if (!Array.isArray(categories) || categories.length === 0) return res.status(400).json({ success: false, message: 'categories 필수' });
+        if (needsApproval(req, categories)) return sendApprovalRequired(res);
 
-        let inserted = 0, modified = 0, skipped = 0, errors = [];
+        let inserted = 0, modified = 0, skipped = 0, planned = 0, errors = [];
         const now = new Date();
+        // 🆕 근무(WORK)만 지정한 미래 날짜는 실제 기록이 아니라 근무 계획표(shiftPlans)로 저장
+        const today = getKSTTodayStr();
+        const isPlanOnly = categories.length === 1 && categories[0] === 'WORK';
+        const actualDates = isPlanOnly ? dates.filter(d => d <= today) : dates;
+        const lockedDate = actualDates.find(isWorkDateLocked);
+        if (lockedDate) return sendMonthLocked(res, lockedDate);
 
         // 🆕 FLEX_USE 한도 사전 검증 (매니저별) — 오늘까지 발생한 available_balance 기준
         if (categories.includes('FLEX_USE')) {
@@ -2601,17 +3775,34 @@ app.post('/api/work-hours/bulk', async (req, res) => {
             }
         }
 
+        const profiles = await getManagerProfileMap(managers.map(m => m.id));
         for (const d of dates) {
             for (const m of managers) {
+                if (!actualDates.includes(d)) {
+                    const r = await saveShiftPlan({ manager_id: m.id, work_date: d, shift_start: clock_in, shift_end: clock_out, note },
+                        profiles.get(String(m.id)) || null, m.store_name, getActor(req), { overwrite });
+                    if (r.error) errors.push({ date: d, manager: m.name, msg: r.error });
+                    else if (r.skipped) skipped++;
+                    else planned++;
+                    continue;
+                }
                 const built = buildScheduleDoc({
                     manager_id: m.id, manager_name: m.name, store_name: m.store_name,
                     manager_role: m.role || '',
                     work_date: d, categories, clock_in, clock_out, flex_use_hours,
                     flex_use_position, annual_leave_type, note
-                });
+                }, profiles.get(String(m.id)) || null);
                 if (built.error) { errors.push({ date: d, manager: m.name, msg: built.error }); continue; }
-
-                const filter = { manager_id: built.doc.manager_id, work_date: d };
+                if (isOtherStoreRequest(req, built.doc.store_name)) { errors.push({ date: d, manager: m.name, msg: '다른 매장의 근무는 입력할 수 없습니다.' }); continue; }
+
+                // 조정 기록(시차 조정·월말 소멸/정산·휴게 조정)은 같은 날짜여도 일반 근무 입력과 별개 → 건너뛰기/덮어쓰기 대상 아님
+                const filter = {
+                    manager_id: built.doc.manager_id,
+                    work_date: d,
+                    categories: { $nin: ADJUSTMENT_CATEGORIES },
+                    category: { $nin: ADJUSTMENT_CATEGORIES },
+                    flex_close_type: { $exists: false }
+                };
                 if (!overwrite) {
                     const exists = await db.collection(COLLECTION_WORK_HOURS).findOne(filter);
                     if (exists) { skipped++; continue; }
@@ -2627,18 +3818,27 @@ app.post('/api/work-hours/bulk', async (req, res) => {
 
         // 🆕 각 (매니저 × 날짜) 페어에 대해 일별 재계산
         const recomputeOps = [];
-        for (const d of dates) {
+        for (const d of actualDates) {
             for (const m of managers) {
                 recomputeOps.push(recomputeDailyFlex(m.id, d));
             }
         }
         await Promise.all(recomputeOps);
 
+        // 🆕 입력 기간 근로시간 점검 (경고만)
+        const sortedDates = [...actualDates].sort();
+        const compliance = sortedDates.length === 0 ? [] : await checkWorkCompliance({ managerIds: managers.map(m => m.id), from: sortedDates[0], to: sortedDates[sortedDates.length - 1] });
+        const complianceWarnings = compliance
+            .filter(c => c.violations.length > 0)
+            .map(c => ({ manager_id: c.manager_id, manager_name: c.manager_name, violations: c.violations }));
+
         res.json({
             success: true,
             totalRequested: dates.length * managers.length,
             inserted, modified, skipped,
-            errors: errors.slice(0, 20) // 최대 20개만 노출
+            planned,   // 🆕 근무 계획표로 저장된 건수 (미래 날짜 WORK)
+            errors: errors.slice(0, 20), // 최대 20개만 노출
+            complianceWarnings
         });
     } catch (e) {
         console.error('🔥 work-hours bulk 오류:', e);
@@ -2664,11 +3864,20 @@ app.get('/api/work-hours', async (req, res) => {
 });
 
 // 단일 삭제 (해당 매니저+날짜 입력 취소)
-app.delete('/api/work-hours/:id', async (req, res) => {
+app.delete('/api/work-hours/:id', requirePermission('work-hours:write'), async (req, res) => {
     try {
         if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false });
         const before = await db.collection(COLLECTION_WORK_HOURS).findOne({ _id: new ObjectId(req.params.id) });
+        if (before && isWorkDateLocked(before.work_date)) return sendMonthLocked(res, before.work_date);
         await db.collection(COLLECTION_WORK_HOURS).deleteOne({ _id: new ObjectId(req.params.id) });
+        // 🆕 승인된 신청으로 만든 기록이면 신청도 취소 처리
+        if (before?.request_id) {
+            await db.collection(COLLECTION_WORK_REQUESTS).updateOne(
+                { _id: before.request_id, status: REQUEST_STATUS.APPROVED },
+                { $set: { status: REQUEST_STATUS.CANCELLED, work_hours_id: null, updated_at: new Date() },
+                  $push: { log: requestLogEntry('CANCEL', getActor(req), '근무 기록 삭제') } }
+            );
+        }
         // 🆕 같은 날짜 다른 entry들 재계산 (남은 entry들의 비례 분배 갱신)
         if (before?.manager_id && before?.work_date) {
             await recomputeDailyFlex(before.manager_id, before.work_date);
@@ -2686,11 +3895,16 @@ function getKSTTodayStr() {
     return new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Seoul' });
 }
 
+// 🆕 한국시간(KST) 기준 'HH:MM' (출퇴근 기록용)
+function getKSTTimeStr(date = new Date()) {
+    return date.toLocaleTimeString('en-GB', { timeZone: 'Asia/Seoul', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+}
+
 // 매니저별 시차 잔여 계산 (모든 기간 합산)
 //   - available_balance: work_date < cutoff 까지 발생한 시차 (실제 사용 가능)
 //     · cutoff 미지정 시 → 오늘(KST) 내일 자정 = today 포함까지 발생분
 //     · cutoff 지정 시   → cutoff 미만 (예: 6/6 입력 시 → 6/5까지 발생분만)
-//   - pending_balance:   cutoff 이상 — 미래 근무로 발생 예정 (사용 불가)
+//   - pending_balance:   cutoff 이상 — 미래 날짜 기록분 (근무 계획은 shiftPlans 로 분리됨, 옛 기록/미리 입력한 휴무만 해당)
 //   - balance_hours:     전체 합 (available + pending) — 하위호환용
 async function computeFlexBalance(managerId, options) {
     try {
@@ -2723,8 +3937,14 @@ async function computeFlexBalance(managerId, options) {
         ]).toArray();
         const r = agg[0] || {};
         const round = v => Math.round((v || 0) * 100) / 100;
+        // 🆕 승인 대기 중인 시차사용 신청 (잔액에는 미반영, 표시용)
+        const [pending] = await db.collection(COLLECTION_WORK_REQUESTS).aggregate([
+            { $match: { manager_id: String(managerId), request_type: 'FLEX_USE', status: REQUEST_STATUS.REQUESTED } },
+            { $group: { _id: null, hours: { $sum: '$flex_use_hours' } } }
+        ]).toArray();
         return {
             balance_hours: round(r.net_flex_delta),
+            requested_flex_hours: round(pending ? pending.hours : 0),
             available_balance: round(r.available_delta),
             pending_balance: round(r.pending_delta),
             total_work_hours: round(r.total_work_hours),
@@ -2750,6 +3970,80 @@ app.get('/api/work-hours/balance', async (req, res) => {
     }
 });
 
+// 🆕 연차 잔여 — 담당자 프로필 입사일 기준 발생 − ANNUAL_LEAVE 사용 (종일 1일 / 반차 0.5일)
+async function computeManagerLeaveBalance(managerId, asOf) {
+    const profile = await getManagerProfile(managerId);
+    const entries = await db.collection(COLLECTION_WORK_HOURS)
+        .find({ manager_id: String(managerId), $or: [{ categories: 'ANNUAL_LEAVE' }, { category: 'ANNUAL_LEAVE' }] })
+        .project({ work_date: 1, categories: 1, category: 1, annual_leave_type: 1 })
+        .toArray();
+    const balance = computeLeaveBalance({
+        hireDate: profile ? profile.hire_date : null,
+        asOf,
+        entitlementDays: profile ? profile.annual_leave_days : null,
+        entries
+    });
+    return { manager_id: String(managerId), hire_date: profile ? profile.hire_date || null : null, as_of: asOf, ...balance };
+}
+
+app.get('/api/work-hours/leave-balance', async (req, res) => {
+    try {
+        const { manager_id, asof } = req.query;
+        if (!manager_id) return res.status(400).json({ success: false, message: 'manager_id 필수' });
+        if (asof && !/^\d{4}-\d{2}-\d{2}$/.test(asof)) return res.status(400).json({ success: false, message: 'asof 형식 오류 (YYYY-MM-DD)' });
+        const balance = await computeManagerLeaveBalance(manager_id, asof || getKSTTodayStr());
+        const message = balance.hire_date ? undefined : '입사일(hire_date)이 등록되지 않아 연차 발생분을 계산할 수 없습니다.';
+        res.json({ success: true, balance, message });
+    } catch (e) {
+        console.error('🔥 연차 잔여 조회 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 🆕 근로시간 준수 점검 (주 52시간 / 주휴일 / 연속근무)
+//   managerIds 미지정 시 기간 내 기록이 있는 전체 담당자
+async function checkWorkCompliance({ managerIds = null, storeName = null, from, to }) {
+    const range = complianceQueryRange(from, to);
+    const q = { work_date: { $gte: range.from, $lte: range.to } };
+    if (managerIds) q.manager_id = { $in: managerIds.map(String) };
+    if (storeName) q.store_name = String(storeName);
+    const entries = await db.collection(COLLECTION_WORK_HOURS)
+        .find(q)
+        .project({ manager_id: 1, manager_name: 1, store_name: 1, work_date: 1, categories: 1, category: 1, work_hours: 1, clock_in: 1, clock_out: 1 })
+        .toArray();
+
+    const byManager = new Map();
+    entries.forEach(e => {
+        if (!byManager.has(e.manager_id)) byManager.set(e.manager_id, []);
+        byManager.get(e.manager_id).push(e);
+    });
+    const today = getKSTTodayStr();
+    return [...byManager.entries()].map(([managerId, list]) => {
+        const latest = list.reduce((a, b) => (b.work_date > a.work_date ? b : a));
+        return { manager_id: managerId, manager_name: latest.manager_name || '', store_name: latest.store_name || '', ...checkManagerCompliance(list, { from, to, today }) };
+    }).sort((a, b) => a.manager_name.localeCompare(b.manager_name, 'ko'));
+}
+
+app.get('/api/work-hours/compliance', async (req, res) => {
+    try {
+        const { month, manager_id, store_name } = req.query;
+        if (!month || !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ success: false, message: 'month(YYYY-MM) 필수' });
+        const [y, m] = month.split('-').map(Number);
+        const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+        const data = await checkWorkCompliance({
+            managerIds: manager_id ? [manager_id] : null,
+            storeName: store_name || null,
+            from: `${month}-01`,
+            to: `${month}-${String(lastDay).padStart(2, '0')}`
+        });
+        const violationCount = data.reduce((n, c) => n + c.violations.length, 0);
+        res.json({ success: true, month, violationCount, data });
+    } catch (e) {
+        console.error('🔥 근로시간 점검 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
 // 🆕 매니저별 이월 시차 조정 내역 조회 (최신순)
 app.get('/api/work-hours/flex-adjustments', async (req, res) => {
     try {
@@ -2766,12 +4060,13 @@ app.get('/api/work-hours/flex-adjustments', async (req, res) => {
 });
 
 // 🆕 이월 시차 항목 삭제 (잔여 자동 환원)
-app.delete('/api/work-hours/flex-adjustment/:id', async (req, res) => {
+app.delete('/api/work-hours/flex-adjustment/:id', requirePermission('work-hours:flex'), async (req, res) => {
     try {
         const id = req.params.id;
         if (!ObjectId.isValid(id)) return res.status(400).json({ success: false, message: '잘못된 id' });
         const doc = await db.collection(COLLECTION_WORK_HOURS).findOne({ _id: new ObjectId(id) });
         if (!doc) return res.status(404).json({ success: false, message: '존재하지 않는 항목' });
+        if (isWorkDateLocked(doc.work_date)) return sendMonthLocked(res, doc.work_date);
         await db.collection(COLLECTION_WORK_HOURS).deleteOne({ _id: new ObjectId(id) });
         const balance = doc.manager_id ? await computeFlexBalance(doc.manager_id) : null;
         res.json({ success: true, balance });
@@ -2782,12 +4077,17 @@ app.delete('/api/work-hours/flex-adjustment/:id', async (req, res) => {
 
 // 🆕 관리자 전용: 시차 잔여 수동 조정 (이월/오프셋)
 // 별도 work_date 없이 카테고리 FLEX_ADJUSTMENT 로 누적 → flex_delta 합산에 자연 포함
-app.post('/api/work-hours/flex-adjustment', async (req, res) => {
+//   급여 마감된 달의 정정도 여기로 — correction_of_date(원래 근무일)를 남기고 오늘 날짜로 기록
+app.post('/api/work-hours/flex-adjustment', requirePermission('work-hours:flex'), async (req, res) => {
     try {
-        const { manager_id, manager_name, store_name, amount, note } = req.body;
+        const { manager_id, amount, note, correction_of_date } = req.body;
         if (!manager_id) return res.status(400).json({ success: false, message: 'manager_id 필수' });
         const amt = Number(amount);
         if (!amt || isNaN(amt)) return res.status(400).json({ success: false, message: 'amount(0이 아닌 숫자) 필수' });
+        if (correction_of_date && !/^\d{4}-\d{2}-\d{2}$/.test(correction_of_date)) return res.status(400).json({ success: false, message: 'correction_of_date 형식 오류 (YYYY-MM-DD)' });
+        const profile = await getManagerProfile(manager_id);
+        const manager_name = profile ? profile.manager_name : req.body.manager_name;
+        const store_name = profile && profile.home_store ? profile.home_store : req.body.store_name;
 
         const now = new Date();
         const todayStr = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}-${String(now.getDate()).padStart(2,'0')}`;
@@ -2810,6 +4110,7 @@ app.post('/api/work-hours/flex-adjustment', async (req, res) => {
             standard_hours: 0,
             annual_leave_type: null,
             note: String(note || ''),
+            correction_of_date: correction_of_date || null,
             is_manual_adjustment: true,   // 표시용 플래그
             created_at: now,
             updated_at: now
@@ -2829,12 +4130,18 @@ app.post('/api/work-hours/flex-adjustment', async (req, res) => {
 //   - 자동 휴게시간(9h+ 60분)이 아닌 직원별·날짜별 다른 휴게시간을 적용할 때 사용
 //   - 카테고리 BREAK_ADJUSTMENT 로 (manager_id, work_date) 단위로 upsert
 //   - recomputeDailyFlex 가 이 값을 우선 반영해 work_hours/flex_delta 재계산
-app.post('/api/work-hours/break-adjustment', async (req, res) => {
+app.post('/api/work-hours/break-adjustment', requirePermission('work-hours:write'), async (req, res) => {
     try {
-        const { manager_id, manager_name, store_name, work_date, break_minutes, manual_break_minutes, note } = req.body;
+        const { manager_id, work_date, break_minutes, manual_break_minutes, note } = req.body;
         if (!manager_id) return res.status(400).json({ success: false, message: 'manager_id 필수' });
         if (!work_date || !/^\d{4}-\d{2}-\d{2}$/.test(work_date))
             return res.status(400).json({ success: false, message: 'work_date(YYYY-MM-DD) 필수' });
+        if (isWorkDateLocked(work_date)) return sendMonthLocked(res, work_date);
+        const profile = await getManagerProfile(manager_id);
+        const employmentError = checkManagerEmployment(profile, work_date);
+        if (employmentError) return res.status(400).json({ success: false, message: employmentError });
+        const manager_name = profile ? profile.manager_name : req.body.manager_name;
+        const store_name = profile && profile.home_store ? profile.home_store : req.body.store_name;
         // 🆕 프론트가 manual_break_minutes 로 보내므로 두 키 모두 허용 (호환성)
         const rawBm = (manual_break_minutes != null ? manual_break_minutes : break_minutes);
         const bm = Math.max(0, Math.round(Number(rawBm || 0)));
@@ -2888,12 +4195,13 @@ app.get('/api/work-hours/break-adjustments', async (req, res) => {
 });
 
 // 🆕 휴게시간 조정 항목 삭제 (자동값으로 복원)
-app.delete('/api/work-hours/break-adjustment/:id', async (req, res) => {
+app.delete('/api/work-hours/break-adjustment/:id', requirePermission('work-hours:write'), async (req, res) => {
     try {
         const id = req.params.id;
         if (!ObjectId.isValid(id)) return res.status(400).json({ success: false, message: '잘못된 id' });
         const doc = await db.collection(COLLECTION_WORK_HOURS).findOne({ _id: new ObjectId(id) });
         if (!doc) return res.status(404).json({ success: false, message: '존재하지 않는 항목' });
+        if (isWorkDateLocked(doc.work_date)) return sendMonthLocked(res, doc.work_date);
         await db.collection(COLLECTION_WORK_HOURS).deleteOne({ _id: new ObjectId(id) });
         if (doc.manager_id && doc.work_date) await recomputeDailyFlex(doc.manager_id, doc.work_date);
         const balance = doc.manager_id ? await computeFlexBalance(doc.manager_id) : null;
@@ -2947,7 +4255,7 @@ app.get('/api/work-hours/migrate-half-leave', async (req, res) => {
     }
 });
 
-app.post('/api/work-hours/migrate-half-leave', async (req, res) => {
+app.post('/api/work-hours/migrate-half-leave', requirePermission('work-hours:admin'), async (req, res) => {
     try {
         const pairs = await listHalfLeavePairs();
         let recomputed = 0, failed = 0;
@@ -2990,13 +4298,15 @@ app.get('/api/work-hours/monthly-summary', async (req, res) => {
                 holidayDays: { $sum: { $cond: [{ $eq: ['$category', 'HOLIDAY'] }, 1, 0] } },
                 total_work_hours: { $sum: '$work_hours' },
                 total_flex_used: { $sum: { $cond: [{ $eq: ['$category', 'FLEX_USE'] }, '$flex_use_hours', 0] } },
-                month_flex_delta: { $sum: '$flex_delta' }
+                month_flex_delta: { $sum: '$flex_delta' },
+                total_night_hours: { $sum: { $ifNull: ['$night_hours', 0] } },       // 🆕 야간(22~06시)
+                total_holiday_hours: { $sum: { $ifNull: ['$holiday_hours', 0] } }    // 🆕 공휴일 근무
             }}
         ]).toArray();
         const balance = await computeFlexBalance(manager_id);
         res.json({
             success: true,
-            month_summary: agg[0] || { workDays:0, leaveDays:0, flexUseDays:0, holidayDays:0, total_work_hours:0, total_flex_used:0, month_flex_delta:0 },
+            month_summary: agg[0] || { workDays:0, leaveDays:0, flexUseDays:0, holidayDays:0, total_work_hours:0, total_flex_used:0, month_flex_delta:0, total_night_hours:0, total_holiday_hours:0 },
             balance
         });
     } catch (e) {
@@ -3004,6 +4314,1162 @@ app.get('/api/work-hours/monthly-summary', async (req, res) => {
     }
 });
 
+// ==========================================
+// 🗳️ [7-3-2] 시차사용 / 연차 신청 · 승인
+// - 신청(REQUESTED)은 workHours 에 기록되지 않음 → 승인 시 기록 생성 (request_id 연결)
+// - 시차사용/연차 직접 입력은 승인권자(work-hours:approve)만 가능
+// ==========================================
+function needsApproval(req, categories) {
+    const cats = Array.isArray(categories) ? categories : [];
+    return cats.some(c => REQUEST_TYPES[c]) && !(req.auth && hasPermission(req.auth.role, 'work-hours:approve'));
+}
+
+function sendApprovalRequired(res) {
+    return res.status(403).json({ success: false, message: '시차사용/연차는 신청 후 승인받아야 합니다. (POST /api/work-hours/requests)' });
+}
+
+// 매장 계정은 자기 매장 담당자 신청만 처리
+function isOtherStoreRequest(req, storeName) {
+    return !!(req.auth && req.auth.store_name && storeName && storeName !== req.auth.store_name);
+}
+
+// 같은 담당자의 승인 대기 신청 합계 (시차 시간 / 연차 일수)
+async function sumPendingRequests(managerId, excludeId = null) {
+    const q = { manager_id: String(managerId), status: REQUEST_STATUS.REQUESTED };
+    if (excludeId) q._id = { $ne: excludeId };
+    const pending = await db.collection(COLLECTION_WORK_REQUESTS).find(q).toArray();
+    return pending.reduce((acc, r) => {
+        if (r.request_type === 'FLEX_USE') acc.flex_hours += Number(r.flex_use_hours || 0);
+        else acc.leave_days += r.annual_leave_type === 'FULL' ? 1 : 0.5;
+        return acc;
+    }, { flex_hours: 0, leave_days: 0 });
+}
+
+app.post('/api/work-hours/requests', requirePermission('work-hours:request'), async (req, res) => {
+    try {
+        const { value, error } = validateWorkRequest(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const profile = await getManagerProfile(value.manager_id);
+        const built = buildScheduleDoc(toScheduleInput({ ...value, manager_name: req.body.manager_name, store_name: req.body.store_name }), profile);
+        if (built.error) return res.status(400).json({ success: false, message: built.error });
+        if (isOtherStoreRequest(req, built.doc.store_name)) return sendStoreForbidden(res);
+        if (isWorkDateLocked(value.work_date)) return sendMonthLocked(res, value.work_date);
+
+        const col = db.collection(COLLECTION_WORK_REQUESTS);
+        const dup = await col.findOne({ manager_id: value.manager_id, work_date: value.work_date, request_type: value.request_type, status: REQUEST_STATUS.REQUESTED });
+        if (dup) return res.status(409).json({ success: false, message: '같은 날짜에 승인 대기 중인 신청이 있습니다.', requestId: dup._id });
+
+        // 신청 시점 한도 확인 — 대기 중인 다른 신청까지 합산
+        const pending = await sumPendingRequests(value.manager_id);
+        if (value.request_type === 'FLEX_USE') {
+            const bal = await computeFlexBalance(value.manager_id);
+            const usable = bal.balance_hours - pending.flex_hours;
+            if (value.flex_use_hours > usable + 0.001) {
+                return res.status(400).json({ success: false, message: `사용 가능 시차(${usable.toFixed(1)}h, 승인 대기 ${pending.flex_hours}h 제외)를 초과합니다. 요청: ${value.flex_use_hours}h` });
+            }
+        } else if (profile && profile.hire_date) {
+            const leave = await computeManagerLeaveBalance(value.manager_id, value.work_date);
+            const days = value.annual_leave_type === 'FULL' ? 1 : 0.5;
+            const usable = leave.remaining_days - pending.leave_days;
+            if (days > usable + 0.001) {
+                return res.status(400).json({ success: false, message: `잔여 연차(${usable}일, 승인 대기 ${pending.leave_days}일 제외)가 부족합니다.` });
+            }
+        }
+
+        const actor = getActor(req);
+        const now = new Date();
+        const doc = {
+            ...value,
+            manager_name: built.doc.manager_name,
+            store_name: built.doc.store_name,
+            status: REQUEST_STATUS.REQUESTED,
+            requested_by: actor,
+            requested_at: now,
+            decided_by: null,
+            decided_at: null,
+            decision_note: null,
+            work_hours_id: null,
+            log: [requestLogEntry('REQUEST', actor, value.reason)],
+            created_at: now,
+            updated_at: now
+        };
+        const r = await col.insertOne(doc);
+        res.json({ success: true, data: { ...doc, _id: r.insertedId } });
+    } catch (e) {
+        console.error('🔥 근무 신청 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 신청 목록 (status / manager_id / month / store_name) — 매장 계정은 자기 매장 신청만
+app.get('/api/work-hours/requests', requirePermission('work-hours:request'), async (req, res) => {
+    try {
+        const { status, manager_id, month, store_name } = req.query;
+        const q = {};
+        if (status) q.status = String(status);
+        if (manager_id) q.manager_id = String(manager_id);
+        if (month && /^\d{4}-\d{2}$/.test(month)) q.work_date = { $regex: `^${month}-` };
+        if (store_name) q.store_name = String(store_name);
+        Object.assign(q, storeScope(req));
+        const data = await db.collection(COLLECTION_WORK_REQUESTS).find(q).sort({ requested_at: -1 }).limit(500).toArray();
+        res.json({ success: true, count: data.length, data });
+    } catch (e) {
+        res.status(500).json({ success: false });
+    }
+});
+
+app.get('/api/work-hours/requests/:id', requirePermission('work-hours:request'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false });
+        const data = await db.collection(COLLECTION_WORK_REQUESTS).findOne({ _id: new ObjectId(req.params.id), ...storeScope(req) });
+        if (!data) return res.status(404).json({ success: false, message: '신청을 찾을 수 없습니다.' });
+        res.json({ success: true, data });
+    } catch (e) {
+        res.status(500).json({ success: false });
+    }
+});
+
+// 신청 상태 변경 공통 — status 조건부 갱신 (동시 승인/반려 방지)
+async function decideWorkRequest(request, to, action, actor, note, extra = {}) {
+    return db.collection(COLLECTION_WORK_REQUESTS).findOneAndUpdate(
+        { _id: request._id, status: request.status },
+        { $set: { status: to, decided_by: actor, decided_at: new Date(), decision_note: note, updated_at: new Date(), ...extra },
+          $push: { log: requestLogEntry(action, actor, note) } },
+        { returnDocument: 'after' }
+    );
+}
+
+async function loadWorkRequest(req, res) {
+    if (!ObjectId.isValid(req.params.id)) { res.status(400).json({ success: false, message: '유효하지 않은 신청 ID입니다.' }); return null; }
+    const request = await db.collection(COLLECTION_WORK_REQUESTS).findOne({ _id: new ObjectId(req.params.id) });
+    if (!request) { res.status(404).json({ success: false, message: '신청을 찾을 수 없습니다.' }); return null; }
+    return request;
+}
+
+// 승인 되돌림 (대기 상태로, 마지막 APPROVE 로그 제거)
+async function revertRequestApproval(request) {
+    await db.collection(COLLECTION_WORK_REQUESTS).updateOne(
+        { _id: request._id, status: REQUEST_STATUS.APPROVED },
+        { $set: { status: REQUEST_STATUS.REQUESTED, decided_by: null, decided_at: null, decision_note: null, work_hours_id: null }, $pop: { log: 1 } }
+    );
+}
+
+// 승인으로 만든 기록 반영 후 잔여 확인 — 부족하면 오류 메시지, 충분하면 null
+async function checkApprovedRequestBalance(request, doc, entryId, profile) {
+    if (request.request_type === 'FLEX_USE') {
+        const bal = await computeFlexBalance(request.manager_id);
+        if (bal.balance_hours < -0.001) {
+            return `사용 가능 시차(${(bal.balance_hours + Number(doc.flex_use_hours || 0)).toFixed(1)}h)를 초과합니다. 요청: ${doc.flex_use_hours}h`;
+        }
+        return null;
+    }
+    if (!profile || !profile.hire_date) return null;
+    const leave = await computeManagerLeaveBalance(request.manager_id, request.work_date);
+    const usage = leave.usages.find(u => String(u._id) === String(entryId));
+    if (usage && usage.unallocated > 0) {
+        return `잔여 연차가 부족합니다. (${request.work_date} 기준 잔여 ${leave.remaining_days}일, 부족 ${usage.unallocated}일)`;
+    }
+    return null;
+}
+
+function sendRequestConflict(res, request, to) {
+    return res.status(409).json({ success: false, message: `${request.status} 상태의 신청은 ${to} 처리할 수 없습니다.` });
+}
+
+app.post('/api/work-hours/requests/:id/approve', requirePermission('work-hours:approve'), async (req, res) => {
+    try {
+        const request = await loadWorkRequest(req, res);
+        if (!request) return;
+        if (!canTransitionRequest(request.status, REQUEST_STATUS.APPROVED)) return sendRequestConflict(res, request, REQUEST_STATUS.APPROVED);
+        if (isWorkDateLocked(request.work_date)) return sendMonthLocked(res, request.work_date);
+
+        const profile = await getManagerProfile(request.manager_id);
+        const built = buildScheduleDoc(toScheduleInput(request), profile);
+        if (built.error) return res.status(400).json({ success: false, message: built.error });
+
+        const actor = getActor(req);
+        const note = String(req.body.note || '').trim() || null;
+        const approved = await decideWorkRequest(request, REQUEST_STATUS.APPROVED, 'APPROVE', actor, note);
+        if (!approved) return res.status(409).json({ success: false, message: '이미 처리된 신청입니다.' });
+
+        let r;
+        try {
+            r = await db.collection(COLLECTION_WORK_HOURS).insertOne({ ...built.doc, request_id: request._id, approved_by: actor, created_at: new Date() });
+        } catch (e) {
+            // 근무 기록 생성 실패 → 승인 되돌림 (대기 상태로)
+            await revertRequestApproval(request);
+            throw e;
+        }
+        await recomputeDailyFlex(built.doc.manager_id, built.doc.work_date);
+
+        // 잔여 확인은 승인·기록 생성 뒤에 — 그 사이 직접 입력/동시 승인된 분까지 반영된 잔여로 판정, 부족하면 되돌림
+        const shortage = await checkApprovedRequestBalance(request, built.doc, r.insertedId, profile);
+        if (shortage) {
+            await db.collection(COLLECTION_WORK_HOURS).deleteOne({ _id: r.insertedId });
+            await recomputeDailyFlex(built.doc.manager_id, built.doc.work_date);
+            await revertRequestApproval(request);
+            return res.status(400).json({ success: false, message: shortage });
+        }
+        await db.collection(COLLECTION_WORK_REQUESTS).updateOne({ _id: request._id }, { $set: { work_hours_id: r.insertedId } });
+        const balance = await computeFlexBalance(built.doc.manager_id);
+        res.json({ success: true, data: { ...approved, work_hours_id: r.insertedId }, balance });
+    } catch (e) {
+        console.error('🔥 근무 신청 승인 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+app.post('/api/work-hours/requests/:id/reject', requirePermission('work-hours:approve'), async (req, res) => {
+    try {
+        const request = await loadWorkRequest(req, res);
+        if (!request) return;
+        if (!canTransitionRequest(request.status, REQUEST_STATUS.REJECTED)) return sendRequestConflict(res, request, REQUEST_STATUS.REJECTED);
+        const note = String(req.body.note || req.body.reason || '').trim();
+        if (!note) return res.status(400).json({ success: false, message: '반려 사유(note)를 입력해주세요.' });
+
+        const rejected = await decideWorkRequest(request, REQUEST_STATUS.REJECTED, 'REJECT', getActor(req), note);
+        if (!rejected) return res.status(409).json({ success: false, message: '이미 처리된 신청입니다.' });
+        res.json({ success: true, data: rejected });
+    } catch (e) {
+        console.error('🔥 근무 신청 반려 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 취소: 신청자 본인(대기 중) 또는 승인권자 — 승인된 신청은 연결된 근무 기록도 삭제
+app.post('/api/work-hours/requests/:id/cancel', requirePermission('work-hours:request'), async (req, res) => {
+    try {
+        const request = await loadWorkRequest(req, res);
+        if (!request) return;
+        if (!canTransitionRequest(request.status, REQUEST_STATUS.CANCELLED)) return sendRequestConflict(res, request, REQUEST_STATUS.CANCELLED);
+        const actor = getActor(req);
+        const isApprover = req.auth && hasPermission(req.auth.role, 'work-hours:approve');
+        if (!isApprover && (request.status !== REQUEST_STATUS.REQUESTED || request.requested_by !== actor)) {
+            return res.status(403).json({ success: false, message: '본인이 신청한 승인 대기 건만 취소할 수 있습니다.' });
+        }
+        if (isOtherStoreRequest(req, request.store_name)) return sendStoreForbidden(res);
+        if (request.work_hours_id && isWorkDateLocked(request.work_date)) return sendMonthLocked(res, request.work_date);
+
+        const cancelled = await decideWorkRequest(request, REQUEST_STATUS.CANCELLED, 'CANCEL', actor, String(req.body.note || '').trim() || null, { work_hours_id: null });
+        if (!cancelled) return res.status(409).json({ success: false, message: '이미 처리된 신청입니다.' });
+        if (request.work_hours_id) {
+            await db.collection(COLLECTION_WORK_HOURS).deleteOne({ _id: request.work_hours_id });
+            await recomputeDailyFlex(request.manager_id, request.work_date);
+        }
+        const balance = await computeFlexBalance(request.manager_id);
+        res.json({ success: true, data: cancelled, balance });
+    } catch (e) {
+        console.error('🔥 근무 신청 취소 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// ==========================================
+// 📋 [7-3-3] 근무 계획표 (shiftPlans) — 예정 근무, 실제 출퇴근(workHours)과 분리
+// - 계획은 시차 잔액에 영향 없음
+// - 계획 대비 실제 차이 리포트 / 지난주 계획 복사
+// ==========================================
+/**
+ * 계획 1건 저장 (manager_id + work_date 단위 upsert)
+ * @returns {object} { value } | { skipped } | { error }
+ */
+async function saveShiftPlan(input, profile, storeName, actor, { overwrite = true } = {}) {
+    const { value, error } = validateShiftPlan(input);
+    if (error) return { error };
+    const employmentError = checkManagerEmployment(profile, value.work_date);
+    if (employmentError) return { error: employmentError };
+
+    const gross = planGrossHours(value.shift_start, value.shift_end);
+    const doc = {
+        ...value,
+        manager_name: profile ? profile.manager_name : String(input.manager_name || ''),
+        store_name: String(storeName || (profile && profile.home_store) || ''),
+        planned_hours: Math.round((gross - getBreakMinutesForGrossHours(gross) / 60) * 100) / 100,
+        updated_by: actor,
+        updated_at: new Date()
+    };
+    const filter = { manager_id: value.manager_id, work_date: value.work_date };
+    const col = db.collection(COLLECTION_SHIFT_PLANS);
+    if (!overwrite && await col.findOne(filter)) return { skipped: true };
+    await col.updateOne(filter, { $set: doc, $setOnInsert: { created_at: new Date() } }, { upsert: true });
+    return { value: doc };
+}
+
+function planRangeQuery(query) {
+    const { store_name, manager_id, from, to } = query;
+    if (!from || !to || !/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) return { error: 'from / to (YYYY-MM-DD) 필수' };
+    const q = { work_date: { $gte: from, $lte: to } };
+    if (store_name) q.store_name = String(store_name);
+    if (manager_id) q.manager_id = String(manager_id);
+    return { q };
+}
+
+app.get('/api/work-hours/plans', async (req, res) => {
+    try {
+        const { q, error } = planRangeQuery(req.query);
+        if (error) return res.status(400).json({ success: false, message: error });
+        const data = await db.collection(COLLECTION_SHIFT_PLANS).find(q).sort({ work_date: 1, manager_name: 1 }).toArray();
+        res.json({ success: true, count: data.length, data });
+    } catch (e) {
+        res.status(500).json({ success: false });
+    }
+});
+
+// body: { store_name, plans: [{ manager_id, work_date, shift_start, shift_end, note }] }
+app.put('/api/work-hours/plans', requirePermission('work-hours:plan'), async (req, res) => {
+    try {
+        const { store_name, plans } = req.body;
+        if (!Array.isArray(plans) || plans.length === 0) return res.status(400).json({ success: false, message: 'plans 필수' });
+        if (req.auth.store_name && store_name !== req.auth.store_name) return sendStoreForbidden(res);
+
+        const profiles = await getManagerProfileMap(plans.map(p => p && p.manager_id));
+        const actor = getActor(req);
+        let saved = 0;
+        const errors = [];
+        for (const [i, p] of plans.entries()) {
+            const r = await saveShiftPlan(p || {}, profiles.get(String(p && p.manager_id)) || null, store_name, actor);
+            if (r.error) errors.push({ index: i, message: r.error });
+            else saved++;
+        }
+        res.json({ success: errors.length === 0, saved, errors: errors.slice(0, 20) });
+    } catch (e) {
+        console.error('🔥 근무 계획 저장 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+app.delete('/api/work-hours/plans/:id', requirePermission('work-hours:plan'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false });
+        const filter = { _id: new ObjectId(req.params.id), ...storeScope(req) };
+        const r = await db.collection(COLLECTION_SHIFT_PLANS).deleteOne(filter);
+        if (r.deletedCount === 0) return res.status(404).json({ success: false, message: '근무 계획을 찾을 수 없습니다.' });
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ success: false });
+    }
+});
+
+// 지난주(from_week) 계획을 대상 주(to_week)로 복사 — 주 시작일은 아무 날짜나 주면 그 주 월요일 기준
+app.post('/api/work-hours/plans/copy-week', requirePermission('work-hours:plan'), async (req, res) => {
+    try {
+        const { store_name, from_week, to_week, overwrite = false } = req.body;
+        if (!store_name) return res.status(400).json({ success: false, message: 'store_name 필수' });
+        if (req.auth.store_name && store_name !== req.auth.store_name) return sendStoreForbidden(res);
+        const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+        if (!dateRe.test(from_week || '') || !dateRe.test(to_week || '')) return res.status(400).json({ success: false, message: 'from_week / to_week (YYYY-MM-DD) 필수' });
+
+        const pairs = mapWeekDates(from_week, to_week);
+        if (pairs[0][0] === pairs[0][1]) return res.status(400).json({ success: false, message: '같은 주로는 복사할 수 없습니다.' });
+        const dateMap = new Map(pairs);
+        const source = await db.collection(COLLECTION_SHIFT_PLANS)
+            .find({ store_name: String(store_name), work_date: { $gte: pairs[0][0], $lte: pairs[6][0] } })
+            .toArray();
+        if (source.length === 0) return res.status(404).json({ success: false, message: '복사할 근무 계획이 없습니다.' });
+
+        const profiles = await getManagerProfileMap(source.map(p => p.manager_id));
+        const actor = getActor(req);
+        let copied = 0, skipped = 0;
+        const errors = [];
+        for (const p of source) {
+            const r = await saveShiftPlan({ ...p, work_date: dateMap.get(p.work_date) }, profiles.get(p.manager_id) || null, store_name, actor, { overwrite: !!overwrite });
+            if (r.error) errors.push({ manager_id: p.manager_id, work_date: p.work_date, message: r.error });
+            else if (r.skipped) skipped++;
+            else copied++;
+        }
+        res.json({ success: true, from: pairs[0][0], to: pairs[0][1], copied, skipped, errors: errors.slice(0, 20) });
+    } catch (e) {
+        console.error('🔥 근무 계획 복사 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 계획 대비 실제 (결근 / 미계획 근무 / 지각 / 조퇴 / 시간 차이)
+app.get('/api/work-hours/plans/variance', async (req, res) => {
+    try {
+        const { q, error } = planRangeQuery(req.query);
+        if (error) return res.status(400).json({ success: false, message: error });
+        const [plans, entries] = await Promise.all([
+            db.collection(COLLECTION_SHIFT_PLANS).find(q).toArray(),
+            db.collection(COLLECTION_WORK_HOURS).find({ ...q, $or: [{ categories: 'WORK' }, { category: 'WORK' }] }).toArray()
+        ]);
+        const data = computeShiftVariance(plans, entries, { today: getKSTTodayStr(), graceMinutes: Number(req.query.grace_minutes) || 10 });
+        const counts = data.reduce((acc, r) => { r.status.forEach(s => { acc[s] = (acc[s] || 0) + 1; }); return acc; }, {});
+        res.json({ success: true, counts, data });
+    } catch (e) {
+        console.error('🔥 근무 계획 대비 실적 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 🆕 매장 인력 배치 현황 — 매장 × 일자(× 시간대) 근무 인원, 최소 인원(min_staff) 미달, 휴가 겹침
+//   지난 날짜(오늘 포함)는 실제 WORK 기록, 이후 날짜는 근무 계획표 기준
+//   휴가: 연차/대휴/휴가/시차사용 기록 + 승인 대기 연차 신청
+const COVERAGE_LEAVE_CATEGORIES = ['ANNUAL_LEAVE', 'SUBSTITUTE_OFF', 'LEAVE', 'FLEX_USE'];
+const DEFAULT_MIN_STAFF = 1;
+
+app.get('/api/work-hours/coverage', async (req, res) => {
+    try {
+        const { month, store_name } = req.query;
+        if (!month || !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ success: false, message: 'month(YYYY-MM) 필수' });
+        const today = getKSTTodayStr();
+
+        const storeQuery = { is_active: { $ne: false } };
+        if (store_name) storeQuery.name = String(store_name);
+        const stores = await db.collection(COLLECTION_STORES).find(storeQuery).sort({ name: 1 }).toArray();
+        if (store_name && stores.length === 0) return res.status(404).json({ success: false, message: '매장을 찾을 수 없습니다.' });
+        const storeNames = stores.map(st => st.name);
+        const monthRange = { $gte: `${month}-01`, $lte: `${month}-31` };
+
+        const [entries, plans, requests] = await Promise.all([
+            db.collection(COLLECTION_WORK_HOURS).find({ store_name: { $in: storeNames }, year_month: month }).toArray(),
+            db.collection(COLLECTION_SHIFT_PLANS).find({ store_name: { $in: storeNames }, work_date: { ...monthRange, $gte: today } }).toArray(),
+            db.collection(COLLECTION_WORK_REQUESTS).find({ store_name: { $in: storeNames }, work_date: monthRange, status: REQUEST_STATUS.REQUESTED, request_type: 'ANNUAL_LEAVE' }).toArray()
+        ]);
+
+        // 지난 날짜 = 실제 기록, 오늘 = 실제 기록(출근만 찍힌 것 포함)이 있으면 실제 / 없으면 계획, 내일 이후 = 계획
+        const byStore = new Map(storeNames.map(n => [n, { shifts: [], leaves: [] }]));
+        const planKey = (managerId, date) => `${managerId}|${date}`;
+        const planByKey = new Map(plans.map(p => [planKey(p.manager_id, p.work_date), p]));
+        const actualKeys = new Set();
+        entries.forEach(e => {
+            const bucket = byStore.get(e.store_name);
+            const cats = Array.isArray(e.categories) ? e.categories : (e.category ? [e.category] : []);
+            if (cats.includes('WORK') && e.clock_in && e.work_date <= today) {
+                // 퇴근 전(OPEN) / 퇴근 누락(MISSING_OUT) 도 근무 중으로 — 끝 시각은 계획 있으면 계획, 없으면 그날 끝까지
+                const plan = planByKey.get(planKey(e.manager_id, e.work_date));
+                const end = e.clock_out || (plan ? plan.shift_end : null);
+                bucket.shifts.push({ manager_id: e.manager_id, manager_name: e.manager_name, work_date: e.work_date, start: e.clock_in, end, source: e.clock_out ? 'actual' : 'punch_open' });
+                actualKeys.add(planKey(e.manager_id, e.work_date));
+            }
+            const leaveType = cats.find(c => COVERAGE_LEAVE_CATEGORIES.includes(c));
+            if (leaveType) bucket.leaves.push({ manager_id: e.manager_id, manager_name: e.manager_name, work_date: e.work_date, type: leaveType, annual_leave_type: e.annual_leave_type || null, status: 'APPROVED' });
+        });
+        plans.forEach(p => {
+            if (actualKeys.has(planKey(p.manager_id, p.work_date))) return;
+            byStore.get(p.store_name).shifts.push({ manager_id: p.manager_id, manager_name: p.manager_name, work_date: p.work_date, start: p.shift_start, end: p.shift_end, source: 'plan' });
+        });
+        requests.forEach(r => {
+            byStore.get(r.store_name).leaves.push({ manager_id: r.manager_id, manager_name: r.manager_name, work_date: r.work_date, type: r.request_type, annual_leave_type: r.annual_leave_type, status: REQUEST_STATUS.REQUESTED, request_id: r._id });
+        });
+
+        const data = stores.map(st => {
+            const minStaff = st.min_staff != null ? st.min_staff : DEFAULT_MIN_STAFF;
+            const { shifts, leaves } = byStore.get(st.name);
+            return { store_name: st.name, store_code: st.code, min_staff: minStaff, ...computeStoreCoverage({ month, shifts, leaves, minStaff, openingHours: st.opening_hours || null }) };
+        });
+        res.json({
+            success: true,
+            month,
+            alerts: data
+                .filter(d => d.below_min_days.length > 0 || d.leave_overlap_days.length > 0)
+                .map(d => ({ store_name: d.store_name, below_min_days: d.below_min_days, leave_overlap_days: d.leave_overlap_days })),
+            data
+        });
+    } catch (e) {
+        console.error('🔥 인력 배치 현황 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// ==========================================
+// ⏱️ [7-3-4] 출퇴근 기록 (매장 태블릿) + 시각 정정
+// - 매장 세션(STORE_STAFF/STORE_MANAGER)으로만 기록, 시각은 서버(KST) 기준
+// - 출근 → 그날 WORK 기록 생성 (punch_status OPEN), 퇴근 → clock_out 채우고 recomputeDailyFlex
+// - punchEvents 는 수정하지 않음 (원본 보존, 처리 실패 표시만 추가), 정정은 punchCorrections 승인 후 WORK 기록에만 반영
+// - 퇴근 없이 MAX_OPEN_PUNCH_HOURS 가 지난 기록 → MISSING_OUT + 정정 신청 자동 생성 (다음 출근은 막지 않음)
+// ==========================================
+const MAX_OPEN_PUNCH_HOURS = 24;   // 출근 후 이 시간이 지나도록 퇴근이 없으면 정정 신청으로 처리
+const MISSING_OUT_REASON = `퇴근 기록 누락 (출근 후 ${MAX_OPEN_PUNCH_HOURS}시간 경과, 자동 신청)`;
+
+function isStalePunch(entry, now = new Date()) {
+    return now - new Date(entry.punch_in_at) > MAX_OPEN_PUNCH_HOURS * 60 * 60 * 1000;
+}
+
+// 처리되지 못한 출퇴근 이벤트 표시 (이벤트 자체는 남겨둠)
+async function markPunchEventFailed(eventId, reason) {
+    await db.collection(COLLECTION_PUNCH_EVENTS).updateOne({ _id: eventId }, { $set: { failed: true, failure_reason: reason } });
+}
+
+// 오래 열린 출근 기록 → MISSING_OUT 으로 닫고 퇴근 시각 정정 신청 자동 생성 (대기 중인 신청이 있으면 그대로 사용)
+async function closeStalePunch(open, req) {
+    const now = new Date();
+    const closed = await db.collection(COLLECTION_WORK_HOURS).findOneAndUpdate(
+        { _id: open._id, punch_status: 'OPEN' },
+        { $set: { punch_status: 'MISSING_OUT', updated_at: now } },
+        { returnDocument: 'after' }
+    );
+    const entry = closed || open;
+    const col = db.collection(COLLECTION_PUNCH_CORRECTIONS);
+    const pending = await col.findOne({ work_hours_id: entry._id, status: REQUEST_STATUS.REQUESTED });
+    if (pending) return pending;
+    const actor = getActor(req);
+    const doc = {
+        work_hours_id: entry._id,
+        manager_id: entry.manager_id,
+        manager_name: entry.manager_name,
+        store_name: entry.store_name,
+        work_date: entry.work_date,
+        original: { clock_in: entry.clock_in || null, clock_out: null },
+        requested: { clock_in: entry.clock_in || null, clock_out: null },
+        reason: MISSING_OUT_REASON,
+        auto_created: true,
+        status: REQUEST_STATUS.REQUESTED,
+        requested_by: actor,
+        requested_at: now,
+        decided_by: null,
+        decided_at: null,
+        decision_note: null,
+        log: [requestLogEntry('REQUEST', actor, MISSING_OUT_REASON)],
+        created_at: now,
+        updated_at: now
+    };
+    const r = await col.insertOne(doc);
+    return { ...doc, _id: r.insertedId };
+}
+
+async function recordPunchEvent(type, fields, req) {
+    const now = new Date();
+    const event = {
+        type,
+        ...fields,
+        punched_at: now,
+        kst_time: getKSTTimeStr(now),
+        actor: getActor(req),
+        user_agent: String(req.headers['user-agent'] || '').slice(0, 200),
+        created_at: now
+    };
+    const r = await db.collection(COLLECTION_PUNCH_EVENTS).insertOne(event);
+    return { ...event, _id: r.insertedId };
+}
+
+app.post('/api/work-hours/punch-in', requirePermission('work-hours:punch'), async (req, res) => {
+    try {
+        const { manager_id } = req.body;
+        if (!manager_id) return res.status(400).json({ success: false, message: 'manager_id 필수' });
+        const storeName = req.auth.store_name;
+        if (!storeName) return res.status(403).json({ success: false, message: '매장 계정으로 로그인한 기기에서만 출퇴근을 기록할 수 있습니다.' });
+
+        const open = await db.collection(COLLECTION_WORK_HOURS).findOne({ manager_id: String(manager_id), punch_status: 'OPEN' });
+        let missingOut = null;
+        if (open && !isStalePunch(open)) return res.status(409).json({ success: false, message: `이미 출근 처리되었습니다. (${open.work_date} ${open.clock_in})`, data: open });
+        if (open) missingOut = await closeStalePunch(open, req);
+
+        const profile = await getManagerProfile(manager_id);
+        const now = new Date();
+        const workDate = getKSTTodayStr();
+        const time = getKSTTimeStr(now);
+        const built = buildScheduleDoc({
+            manager_id, manager_name: req.body.manager_name, store_name: storeName,
+            manager_role: req.body.manager_role,
+            work_date: workDate, categories: ['WORK'], clock_in: time, clock_out: time, note: '출퇴근 기록'
+        }, profile);
+        if (built.error) return res.status(400).json({ success: false, message: built.error });
+
+        const event = await recordPunchEvent('IN', { manager_id: built.doc.manager_id, manager_name: built.doc.manager_name, store_name: storeName, work_date: workDate }, req);
+        let entry;
+        try {
+            entry = {
+                ...built.doc,
+                store_name: storeName,   // 실제 근무 매장 = 태블릿 매장
+                clock_out: null,
+                work_hours: 0,
+                flex_delta: 0,
+                punch_status: 'OPEN',
+                punch_in_event_id: event._id,
+                punch_in_at: event.punched_at,
+                created_at: now
+            };
+            const r = await db.collection(COLLECTION_WORK_HOURS).insertOne(entry);
+            entry._id = r.insertedId;
+        } catch (e) {
+            await markPunchEventFailed(event._id, e.code === 11000 ? 'ALREADY_PUNCHED_IN' : e.message);
+            if (e.code === 11000) return res.status(409).json({ success: false, message: '이미 출근 처리되었습니다.' });
+            throw e;
+        }
+        await db.collection(COLLECTION_PUNCH_EVENTS).updateOne({ _id: event._id }, { $set: { work_hours_id: entry._id } });
+        res.json({ success: true, data: entry, event, missingOut });
+    } catch (e) {
+        console.error('🔥 출근 기록 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+app.post('/api/work-hours/punch-out', requirePermission('work-hours:punch'), async (req, res) => {
+    try {
+        const { manager_id } = req.body;
+        if (!manager_id) return res.status(400).json({ success: false, message: 'manager_id 필수' });
+        const storeName = req.auth.store_name;
+        if (!storeName) return res.status(403).json({ success: false, message: '매장 계정으로 로그인한 기기에서만 출퇴근을 기록할 수 있습니다.' });
+
+        const open = await db.collection(COLLECTION_WORK_HOURS).findOne({ manager_id: String(manager_id), punch_status: 'OPEN' });
+        if (!open) return res.status(404).json({ success: false, message: '출근 기록이 없습니다. 출근을 먼저 기록하거나 정정 신청해주세요.' });
+        if (open.store_name !== storeName) return res.status(403).json({ success: false, message: `${open.store_name} 매장에서 출근한 기록입니다. 같은 매장에서 퇴근을 기록해주세요.` });
+        if (isWorkDateLocked(open.work_date)) return sendMonthLocked(res, open.work_date);
+
+        const now = new Date();
+        if (isStalePunch(open, now)) {
+            const correction = await closeStalePunch(open, req);
+            return res.status(409).json({ success: false, message: `출근 후 ${MAX_OPEN_PUNCH_HOURS}시간이 지나 퇴근 시각 정정 신청이 자동 생성되었습니다. 승인 시 퇴근 시각을 입력해주세요.`, data: open, correction });
+        }
+
+        const event = await recordPunchEvent('OUT', { manager_id: open.manager_id, manager_name: open.manager_name, store_name: storeName, work_date: open.work_date, work_hours_id: open._id }, req);
+        const updated = await db.collection(COLLECTION_WORK_HOURS).findOneAndUpdate(
+            { _id: open._id, punch_status: 'OPEN' },
+            { $set: { clock_out: event.kst_time, punch_status: 'CLOSED', punch_out_event_id: event._id, punch_out_at: event.punched_at, updated_at: now } },
+            { returnDocument: 'after' }
+        );
+        if (!updated) {
+            await markPunchEventFailed(event._id, 'ALREADY_PUNCHED_OUT');
+            return res.status(409).json({ success: false, message: '이미 퇴근 처리되었습니다.' });
+        }
+
+        await recomputeDailyFlex(open.manager_id, open.work_date);
+        const balance = await computeFlexBalance(open.manager_id);
+        const [compliance] = await checkWorkCompliance({ managerIds: [open.manager_id], from: open.work_date, to: open.work_date });
+        res.json({ success: true, data: updated, event, balance, complianceWarnings: compliance ? compliance.violations : [] });
+    } catch (e) {
+        console.error('🔥 퇴근 기록 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 출퇴근 원본 기록 조회 (manager_id / store_name / from~to) — 매장 세션은 자기 매장만
+app.get('/api/work-hours/punches', requirePermission('work-hours:request'), async (req, res) => {
+    try {
+        const { manager_id, store_name, from, to } = req.query;
+        const q = {};
+        if (manager_id) q.manager_id = String(manager_id);
+        if (store_name) q.store_name = String(store_name);
+        if (from || to) q.work_date = { ...(from ? { $gte: String(from) } : {}), ...(to ? { $lte: String(to) } : {}) };
+        Object.assign(q, storeScope(req));
+        const data = await db.collection(COLLECTION_PUNCH_EVENTS).find(q).sort({ punched_at: -1 }).limit(1000).toArray();
+        res.json({ success: true, count: data.length, data });
+    } catch (e) {
+        res.status(500).json({ success: false });
+    }
+});
+
+// 정정 신청: { work_hours_id, clock_in?, clock_out?, reason }
+app.post('/api/work-hours/punch-corrections', requirePermission('work-hours:request'), async (req, res) => {
+    try {
+        const { work_hours_id, clock_in, clock_out, reason } = req.body;
+        if (!ObjectId.isValid(work_hours_id)) return res.status(400).json({ success: false, message: 'work_hours_id 필수' });
+        const hhmm = /^([01]\d|2[0-3]):[0-5]\d$/;
+        if (!clock_in && !clock_out) return res.status(400).json({ success: false, message: '정정할 출근/퇴근 시각을 입력해주세요.' });
+        if ((clock_in && !hhmm.test(clock_in)) || (clock_out && !hhmm.test(clock_out))) return res.status(400).json({ success: false, message: '시각 형식 오류 (HH:MM)' });
+        const reasonText = String(reason || '').trim();
+        if (!reasonText) return res.status(400).json({ success: false, message: '정정 사유(reason)를 입력해주세요.' });
+
+        const entry = await db.collection(COLLECTION_WORK_HOURS).findOne({ _id: new ObjectId(work_hours_id) });
+        if (!entry || !(entry.categories || []).includes('WORK')) return res.status(404).json({ success: false, message: '근무 기록을 찾을 수 없습니다.' });
+        if (isOtherStoreRequest(req, entry.store_name)) return sendStoreForbidden(res);
+        if (isWorkDateLocked(entry.work_date)) return sendMonthLocked(res, entry.work_date);
+        const col = db.collection(COLLECTION_PUNCH_CORRECTIONS);
+        const actor = getActor(req);
+        const now = new Date();
+        const pending = await col.findOne({ work_hours_id: entry._id, status: REQUEST_STATUS.REQUESTED });
+        if (pending && pending.auto_created) {
+            // 퇴근 누락 자동 신청 → 실제 시각/사유로 채움
+            const filled = await col.findOneAndUpdate(
+                { _id: pending._id, status: REQUEST_STATUS.REQUESTED },
+                { $set: { requested: { clock_in: clock_in || pending.requested.clock_in, clock_out: clock_out || pending.requested.clock_out }, reason: reasonText, updated_at: now },
+                  $push: { log: requestLogEntry('UPDATE', actor, reasonText) } },
+                { returnDocument: 'after' }
+            );
+            if (filled) return res.json({ success: true, data: filled });
+        }
+        if (pending) return res.status(409).json({ success: false, message: '승인 대기 중인 정정 신청이 있습니다.' });
+
+        const doc = {
+            work_hours_id: entry._id,
+            manager_id: entry.manager_id,
+            manager_name: entry.manager_name,
+            store_name: entry.store_name,
+            work_date: entry.work_date,
+            original: { clock_in: entry.clock_in || null, clock_out: entry.clock_out || null },
+            requested: { clock_in: clock_in || entry.clock_in || null, clock_out: clock_out || entry.clock_out || null },
+            reason: reasonText,
+            status: REQUEST_STATUS.REQUESTED,
+            requested_by: actor,
+            requested_at: now,
+            decided_by: null,
+            decided_at: null,
+            decision_note: null,
+            log: [requestLogEntry('REQUEST', actor, reasonText)],
+            created_at: now,
+            updated_at: now
+        };
+        const r = await col.insertOne(doc);
+        res.json({ success: true, data: { ...doc, _id: r.insertedId } });
+    } catch (e) {
+        console.error('🔥 출퇴근 정정 신청 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+app.get('/api/work-hours/punch-corrections', requirePermission('work-hours:request'), async (req, res) => {
+    try {
+        const { status, manager_id, store_name } = req.query;
+        const q = {};
+        if (status) q.status = String(status);
+        if (manager_id) q.manager_id = String(manager_id);
+        if (store_name) q.store_name = String(store_name);
+        Object.assign(q, storeScope(req));
+        const data = await db.collection(COLLECTION_PUNCH_CORRECTIONS).find(q).sort({ requested_at: -1 }).limit(500).toArray();
+        res.json({ success: true, count: data.length, data });
+    } catch (e) {
+        res.status(500).json({ success: false });
+    }
+});
+
+// 승인: WORK 기록의 clock_in/out 변경 (최초 시각은 original_clock_in/out 에 한 번만 보존) + 재계산
+app.post('/api/work-hours/punch-corrections/:id/approve', requirePermission('work-hours:approve'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false });
+        const col = db.collection(COLLECTION_PUNCH_CORRECTIONS);
+        const correction = await col.findOne({ _id: new ObjectId(req.params.id) });
+        if (!correction) return res.status(404).json({ success: false, message: '정정 신청을 찾을 수 없습니다.' });
+        if (correction.status !== REQUEST_STATUS.REQUESTED) {
+            return res.status(409).json({ success: false, message: `${correction.status} 상태의 정정 신청은 승인할 수 없습니다.` });
+        }
+        const entry = await db.collection(COLLECTION_WORK_HOURS).findOne({ _id: correction.work_hours_id });
+        if (!entry) return res.status(404).json({ success: false, message: '근무 기록이 삭제되었습니다.' });
+        if (isWorkDateLocked(entry.work_date)) return sendMonthLocked(res, entry.work_date);
+        // 퇴근 누락 자동 신청처럼 퇴근 시각이 비어 있으면 승인자가 body.clock_out 으로 입력
+        const requested = { ...correction.requested };
+        if (!requested.clock_out && req.body.clock_out) {
+            if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(req.body.clock_out)) return res.status(400).json({ success: false, message: '시각 형식 오류 (HH:MM)' });
+            requested.clock_out = req.body.clock_out;
+        }
+        if (!requested.clock_out && entry.punch_status === 'MISSING_OUT') {
+            return res.status(400).json({ success: false, message: '퇴근 시각(clock_out)을 입력해야 승인할 수 있습니다.' });
+        }
+
+        const actor = getActor(req);
+        const note = String(req.body.note || '').trim() || null;
+        const approved = await col.findOneAndUpdate(
+            { _id: correction._id, status: REQUEST_STATUS.REQUESTED },
+            { $set: { requested, status: REQUEST_STATUS.APPROVED, decided_by: actor, decided_at: new Date(), decision_note: note, updated_at: new Date() },
+              $push: { log: requestLogEntry('APPROVE', actor, note) } },
+            { returnDocument: 'after' }
+        );
+        if (!approved) return res.status(409).json({ success: false, message: '이미 처리된 정정 신청입니다.' });
+
+        const set = {
+            clock_in: requested.clock_in,
+            clock_out: requested.clock_out,
+            corrected: true,
+            corrected_by: actor,
+            corrected_at: new Date(),
+            updated_at: new Date()
+        };
+        if (entry.original_clock_in === undefined) set.original_clock_in = entry.clock_in || null;
+        if (entry.original_clock_out === undefined) set.original_clock_out = entry.clock_out || null;
+        if (set.clock_out && ['OPEN', 'MISSING_OUT'].includes(entry.punch_status)) set.punch_status = 'CLOSED';
+        await db.collection(COLLECTION_WORK_HOURS).updateOne({ _id: entry._id }, { $set: set });
+        await db.collection(COLLECTION_PUNCH_EVENTS).insertOne({
+            type: 'CORRECTION', manager_id: entry.manager_id, manager_name: entry.manager_name, store_name: entry.store_name,
+            work_date: entry.work_date, work_hours_id: entry._id, correction_id: correction._id,
+            before: correction.original, after: requested,
+            punched_at: new Date(), actor, created_at: new Date()
+        });
+        await recomputeDailyFlex(entry.manager_id, entry.work_date);
+        const balance = await computeFlexBalance(entry.manager_id);
+        res.json({ success: true, data: approved, balance });
+    } catch (e) {
+        console.error('🔥 출퇴근 정정 승인 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+app.post('/api/work-hours/punch-corrections/:id/reject', requirePermission('work-hours:approve'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false });
+        const note = String(req.body.note || req.body.reason || '').trim();
+        if (!note) return res.status(400).json({ success: false, message: '반려 사유(note)를 입력해주세요.' });
+        const actor = getActor(req);
+        const rejected = await db.collection(COLLECTION_PUNCH_CORRECTIONS).findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), status: REQUEST_STATUS.REQUESTED },
+            { $set: { status: REQUEST_STATUS.REJECTED, decided_by: actor, decided_at: new Date(), decision_note: note, updated_at: new Date() },
+              $push: { log: requestLogEntry('REJECT', actor, note) } },
+            { returnDocument: 'after' }
+        );
+        if (!rejected) return res.status(409).json({ success: false, message: '승인 대기 중인 정정 신청이 아닙니다.' });
+        res.json({ success: true, data: rejected });
+    } catch (e) {
+        console.error('🔥 출퇴근 정정 반려 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 🆕 월간 근무표 엑셀 (급여 전달용) — 전체 담당자 × 일자 + 요약 시트
+//   대상: 해당 월에 기록이 있는 담당자 + 그 달에 재직 중인 등록 담당자
+app.get('/api/work-hours/timesheet/export', requirePermission('work-hours:export'), async (req, res) => {
+    try {
+        const { month, store_name } = req.query;
+        if (!month || !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ success: false, message: 'month(YYYY-MM) 필수' });
+        const monthStart = `${month}-01`;
+        const [y, m] = month.split('-').map(Number);
+        const monthEnd = `${month}-${String(new Date(Date.UTC(y, m, 0)).getUTCDate()).padStart(2, '0')}`;
+
+        const entryQuery = { year_month: month };
+        if (store_name) entryQuery.store_name = String(store_name);
+        const [entries, profiles, opening] = await Promise.all([
+            db.collection(COLLECTION_WORK_HOURS).find(entryQuery).sort({ work_date: 1 }).toArray(),
+            db.collection(COLLECTION_STATIC_MANAGERS).find({}).toArray(),
+            db.collection(COLLECTION_WORK_HOURS).aggregate([
+                { $match: { work_date: { $lt: monthStart } } },
+                { $group: { _id: '$manager_id', balance: { $sum: '$flex_delta' } } }
+            ]).toArray()
+        ]);
+
+        const managers = new Map();
+        profiles.forEach(p => {
+            const employed = (!p.hire_date || p.hire_date <= monthEnd) && (!p.retired_at || p.retired_at >= monthStart) && (p.is_active !== false || p.retired_at);
+            if (!employed || !p.hire_date) return;   // 입사일 미등록 담당자는 기록이 있을 때만 포함
+            if (store_name && p.home_store !== store_name) return;
+            managers.set(String(p.manager_code), { manager_id: String(p.manager_code), manager_name: p.manager_name, store_name: p.home_store || '', role: p.role || '' });
+        });
+        const profileMap = new Map(profiles.map(p => [String(p.manager_code), p]));
+        entries.forEach(e => {
+            if (managers.has(e.manager_id)) return;
+            const p = profileMap.get(e.manager_id);
+            managers.set(e.manager_id, {
+                manager_id: e.manager_id,
+                manager_name: p ? p.manager_name : e.manager_name,
+                store_name: (p && p.home_store) || e.store_name || '',
+                role: p ? p.role || '' : e.manager_role || ''
+            });
+        });
+        const managerList = [...managers.values()].sort((a, b) =>
+            a.store_name.localeCompare(b.store_name, 'ko') || a.manager_name.localeCompare(b.manager_name, 'ko'));
+
+        const { rows, summary } = buildTimesheet({
+            month,
+            managers: managerList,
+            entries,
+            openingBalances: new Map(opening.map(o => [o._id, o.balance])),
+            holidays: KOREAN_HOLIDAYS
+        });
+        const workbook = buildTimesheetWorkbook({ month, rows, summary });
+        const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+        const filename = `timesheet_${month}${store_name ? `_${store_name}` : ''}.xlsx`;
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+        res.send(buffer);
+    } catch (e) {
+        console.error('🔥 근무표 엑셀 생성 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// ==========================================
+// 📒 [7-3-5] 시차 원장 / 월말 마감
+// - 월별 적립/사용/소멸 원장은 utils/flexLedger.js 에서 workHours 기록을 재생해 계산 (적립분 선입선출 차감)
+// - 소멸 기간(flex_expiry_months) / 마이너스 정산 주기(flex_debt_clear)는 근무 정책(PUT /api/work-hours/policy)
+// - 월말 마감 시 소멸·정산분을 그 달 말일자 FLEX_ADJUSTMENT 기록(flex_close_type)으로 남김 → computeFlexBalance 합계 = 원장 잔액
+// - 마감은 멱등: 다시 실행하면 지난 기록 수정분까지 반영해 마감 조정값을 다시 맞춤
+// ==========================================
+const FLEX_CLOSE_TYPES = {
+    EXPIRY: 'EXPIRY',                   // 적립 시차 소멸 (−)
+    DEBT_SETTLEMENT: 'DEBT_SETTLEMENT'  // 마이너스 시차 정산 (+)
+};
+
+function flexLedgerOptions(untilMonth) {
+    return { expiryMonths: workPolicy.flex_expiry_months || null, debtClear: workPolicy.flex_debt_clear || null, untilMonth };
+}
+
+async function loadFlexLedgerEntries(managerId) {
+    return db.collection(COLLECTION_WORK_HOURS)
+        .find({ manager_id: String(managerId), flex_delta: { $nin: [0, null] } })
+        .project({ work_date: 1, flex_delta: 1, flex_close_type: 1, flex_close_month: 1, created_at: 1 })
+        .toArray();
+}
+
+// 담당자 1명 — month 까지의 마감 조정 기록을 원장 계산값에 맞춤
+//   @returns {object} { expired, debt_settled } (해당 month 분)
+async function syncFlexCloseEntries(managerId, month, actor) {
+    const entries = await loadFlexLedgerEntries(managerId);
+    const ledger = buildFlexLedger(entries, flexLedgerOptions(month));
+    const profile = await getManagerProfile(managerId);
+    const existing = new Map(entries.filter(e => e.flex_close_type).map(e => [`${e.flex_close_month}|${e.flex_close_type}`, e]));
+    const now = new Date();
+    const col = db.collection(COLLECTION_WORK_HOURS);
+
+    for (const row of ledger.months) {
+        const targets = [
+            [FLEX_CLOSE_TYPES.EXPIRY, -row.expired, `[월말 마감] ${row.month} 시차 소멸 ${row.expired}h`],
+            [FLEX_CLOSE_TYPES.DEBT_SETTLEMENT, row.debt_settled, `[월말 마감] ${row.month} 마이너스 시차 정산 ${row.debt_settled}h`]
+        ];
+        for (const [type, delta, note] of targets) {
+            const key = `${row.month}|${type}`;
+            const prev = existing.get(key);
+            existing.delete(key);
+            if (lockedMonths.has(row.month)) continue;   // 급여 마감된 달의 마감 조정은 그대로
+            if (!delta) {
+                if (prev) await col.deleteOne({ _id: prev._id });
+                continue;
+            }
+            if (prev && Number(prev.flex_delta) === delta) continue;
+            const workDate = lastDateOfMonth(row.month);
+            await col.updateOne(
+                { manager_id: String(managerId), flex_close_month: row.month, flex_close_type: type },
+                {
+                    $set: { flex_delta: delta, note, closed_by: actor, updated_at: now },
+                    $setOnInsert: {
+                        manager_name: profile ? profile.manager_name : '',
+                        store_name: profile && profile.home_store ? profile.home_store : '',
+                        work_date: workDate,
+                        year_month: row.month,
+                        categories: ['FLEX_ADJUSTMENT'],
+                        category: 'FLEX_ADJUSTMENT',
+                        clock_in: null,
+                        clock_out: null,
+                        break_minutes: 0,
+                        work_hours: 0,
+                        flex_use_hours: 0,
+                        flex_use_position: null,
+                        standard_hours: 0,
+                        annual_leave_type: null,
+                        is_manual_adjustment: false,
+                        created_at: now
+                    }
+                },
+                { upsert: true }
+            );
+        }
+    }
+    // 원장에서 사라진 달(적립 기록 삭제 등)의 마감 조정은 정리 — month 이후 달은 건드리지 않음
+    for (const prev of existing.values()) {
+        if (prev.flex_close_month <= month && !lockedMonths.has(prev.flex_close_month)) await col.deleteOne({ _id: prev._id });
+    }
+
+    const target = ledger.months.find(r => r.month === month);
+    return { expired: target ? target.expired : 0, debt_settled: target ? target.debt_settled : 0 };
+}
+
+// 월말 마감 — month 이전에 시차 기록이 있는 전 담당자
+async function closeFlexMonth(month, actor) {
+    const managerIds = await db.collection(COLLECTION_WORK_HOURS).distinct('manager_id', {
+        work_date: { $lte: lastDateOfMonth(month) },
+        flex_delta: { $nin: [0, null] }
+    });
+    const managers = [];
+    let totalExpired = 0, totalSettled = 0;
+    for (const managerId of managerIds) {
+        const r = await syncFlexCloseEntries(managerId, month, actor);
+        if (r.expired || r.debt_settled) managers.push({ manager_id: managerId, ...r });
+        totalExpired += r.expired;
+        totalSettled += r.debt_settled;
+    }
+    const summary = {
+        managers: managerIds.length,
+        expired_hours: Math.round(totalExpired * 100) / 100,
+        debt_settled_hours: Math.round(totalSettled * 100) / 100,
+        policy: { flex_expiry_months: workPolicy.flex_expiry_months || null, flex_debt_clear: workPolicy.flex_debt_clear || null }
+    };
+    await db.collection(COLLECTION_FLEX_CLOSES).updateOne(
+        { _id: month },
+        { $set: { summary, details: managers, closed_by: actor, closed_at: new Date() }, $inc: { run_count: 1 } },
+        { upsert: true }
+    );
+    return { month, ...summary, details: managers };
+}
+
+/**
+ * 🆕 시차 월말 마감 cron (1시간 간격) — 지난달이 아직 마감되지 않았으면 자동 마감
+ */
+function startFlexCloseCron() {
+    const INTERVAL_MS = 60 * 60 * 1000; // 1시간
+
+    const run = async () => {
+        if (!db) return;
+        try {
+            const lastMonth = addMonth(getKSTTodayStr().slice(0, 7), -1);
+            const done = await db.collection(COLLECTION_FLEX_CLOSES).findOne({ _id: lastMonth });
+            if (done) return;
+            const result = await closeFlexMonth(lastMonth, 'system:cron');
+            console.log(`[CRON FLEX-CLOSE] ✅ ${lastMonth} 마감 (담당자 ${result.managers}명, 소멸 ${result.expired_hours}h, 정산 ${result.debt_settled_hours}h)`);
+        } catch (e) {
+            console.error('[CRON FLEX-CLOSE] 🔥 시차 월말 마감 오류:', e.message);
+        }
+    };
+    setInterval(run, INTERVAL_MS);
+    run();
+
+    console.log('✅ Flex-Close Cron 등록 완료 (1시간 간격, 지난달 미마감 시 자동 마감)');
+}
+
+// 담당자별 월간 원장 — through(YYYY-MM, 기본 이번 달)까지
+//   months[].closed_* = 실제 기록된 마감 조정값 (미마감 달은 0, 원장 계산값과 다르면 재마감 필요)
+app.get('/api/work-hours/flex-ledger', async (req, res) => {
+    try {
+        const { manager_id, through } = req.query;
+        if (!manager_id) return res.status(400).json({ success: false, message: 'manager_id 필수' });
+        if (through && !/^\d{4}-\d{2}$/.test(through)) return res.status(400).json({ success: false, message: 'through 형식 오류 (YYYY-MM)' });
+        const untilMonth = through || getKSTTodayStr().slice(0, 7);
+
+        const entries = await loadFlexLedgerEntries(manager_id);
+        const ledger = buildFlexLedger(entries, flexLedgerOptions(untilMonth));
+        const closed = new Map();
+        entries.filter(e => e.flex_close_type).forEach(e => closed.set(`${e.flex_close_month}|${e.flex_close_type}`, Number(e.flex_delta)));
+        const closes = await db.collection(COLLECTION_FLEX_CLOSES)
+            .find({ _id: { $in: ledger.months.map(r => r.month) } })
+            .project({ closed_at: 1 })
+            .toArray();
+        const closedAt = new Map(closes.map(c => [c._id, c.closed_at]));
+
+        const months = ledger.months.map(r => ({
+            ...r,
+            closed_at: closedAt.get(r.month) || null,
+            closed_expired: -(closed.get(`${r.month}|${FLEX_CLOSE_TYPES.EXPIRY}`) || 0),
+            closed_debt_settled: closed.get(`${r.month}|${FLEX_CLOSE_TYPES.DEBT_SETTLEMENT}`) || 0
+        }));
+        res.json({
+            success: true,
+            data: {
+                manager_id: String(manager_id),
+                policy: flexLedgerOptions(untilMonth),
+                months,
+                lots: ledger.lots,          // 남은 적립분 (오래된 순 = 먼저 차감/소멸)
+                balance: ledger.balance,
+                debt: ledger.debt
+            }
+        });
+    } catch (e) {
+        console.error('🔥 시차 원장 조회 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+app.get('/api/work-hours/flex-closes', async (req, res) => {
+    try {
+        const rows = await db.collection(COLLECTION_FLEX_CLOSES).find({}).sort({ _id: -1 }).limit(36).toArray();
+        res.json({ success: true, data: rows });
+    } catch (e) {
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 수동 마감 / 재마감 — body: { month: 'YYYY-MM' } (이번 달 이후는 불가)
+app.post('/api/work-hours/flex-close', requirePermission('work-hours:admin'), async (req, res) => {
+    try {
+        const { month } = req.body;
+        if (!month || !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ success: false, message: 'month(YYYY-MM) 필수' });
+        if (month >= getKSTTodayStr().slice(0, 7)) return res.status(400).json({ success: false, message: '지난달까지만 마감할 수 있습니다.' });
+        const result = await closeFlexMonth(month, getActor(req));
+        res.json({ success: true, data: result });
+    } catch (e) {
+        console.error('🔥 시차 월말 마감 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// ==========================================
+// 🔒 [7-3-6] 급여 마감 월 잠금 (workHoursLocks)
+// - 잠긴 달의 근무 기록은 입력/수정/삭제/휴게 조정/신청 승인·취소/출퇴근 정정 모두 409
+// - 정책·프로필 변경에 따른 재계산(recomputeDailyFlex)도 잠긴 달은 건너뜀
+// - 정정은 이번 달 시차 조정(POST /api/work-hours/flex-adjustment, correction_of_date)으로 입력
+// - 잠금 해제는 인사(work-hours:admin)만, 사유 필수 — 잠금/해제 이력은 log 배열
+// ==========================================
+async function loadWorkHoursLocks() {
+    try {
+        const docs = await db.collection(COLLECTION_WORK_HOURS_LOCKS).find({ locked: true }).project({ _id: 1 }).toArray();
+        lockedMonths = new Set(docs.map(d => d._id));
+        console.log(`✅ 급여 마감 월 로드 (${lockedMonths.size}개월)`);
+    } catch (e) {
+        console.error("⚠️ 급여 마감 월 로드 오류:", e.message);
+    }
+}
+
+function isWorkDateLocked(dateStr) {
+    return !!dateStr && lockedMonths.has(String(dateStr).slice(0, 7));
+}
+
+function sendMonthLocked(res, dateStr) {
+    const month = String(dateStr).slice(0, 7);
+    return res.status(409).json({
+        success: false,
+        code: 'MONTH_LOCKED',
+        locked_month: month,
+        message: `${month}은(는) 급여 마감된 달이라 변경할 수 없습니다. 정정은 이번 달 시차 조정으로 입력해주세요.`
+    });
+}
+
+function readLockMonth(req) {
+    const month = String(req.query.month || (req.body && req.body.month) || '');
+    return /^\d{4}-\d{2}$/.test(month) ? month : null;
+}
+
+app.get('/api/work-hours/locks', async (req, res) => {
+    try {
+        const rows = await db.collection(COLLECTION_WORK_HOURS_LOCKS).find({}).sort({ _id: -1 }).toArray();
+        res.json({ success: true, data: rows });
+    } catch (e) {
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 잠금 — ?month=YYYY-MM (지난달까지만). 시차 월말 마감이 안 된 달이면 먼저 마감
+app.post('/api/work-hours/lock', requirePermission('work-hours:lock'), async (req, res) => {
+    try {
+        const month = readLockMonth(req);
+        if (!month) return res.status(400).json({ success: false, message: 'month(YYYY-MM) 필수' });
+        if (month >= getKSTTodayStr().slice(0, 7)) return res.status(400).json({ success: false, message: '지난달까지만 잠글 수 있습니다.' });
+        if (lockedMonths.has(month)) return res.status(409).json({ success: false, message: `${month}은(는) 이미 잠겨 있습니다.` });
+
+        const actor = getActor(req);
+        let flexClose = null;
+        if (!(await db.collection(COLLECTION_FLEX_CLOSES).findOne({ _id: month }))) flexClose = await closeFlexMonth(month, actor);
+        const note = String(req.body.note || '').trim() || null;
+        const now = new Date();
+        await db.collection(COLLECTION_WORK_HOURS_LOCKS).updateOne(
+            { _id: month },
+            { $set: { locked: true, locked_by: actor, locked_at: now, updated_at: now },
+              $push: { log: requestLogEntry('LOCK', actor, note) } },
+            { upsert: true }
+        );
+        lockedMonths.add(month);
+        // 참고용: 잠긴 달에 남아 있는 대기 신청 / 퇴근 미기록 (승인·퇴근 처리는 이제 불가)
+        const prefix = new RegExp(`^${month}-`);
+        const [pendingRequests, openPunches] = await Promise.all([
+            db.collection(COLLECTION_WORK_REQUESTS).countDocuments({ work_date: prefix, status: REQUEST_STATUS.REQUESTED }),
+            db.collection(COLLECTION_WORK_HOURS).countDocuments({ year_month: month, punch_status: { $in: ['OPEN', 'MISSING_OUT'] } })
+        ]);
+        res.json({ success: true, month, flexClose, pendingRequests, openPunches });
+    } catch (e) {
+        console.error('🔥 급여 마감 잠금 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
+// 잠금 해제 — ?month=YYYY-MM, body: { reason } (필수)
+app.post('/api/work-hours/unlock', requirePermission('work-hours:admin'), async (req, res) => {
+    try {
+        const month = readLockMonth(req);
+        if (!month) return res.status(400).json({ success: false, message: 'month(YYYY-MM) 필수' });
+        const reason = String(req.body.reason || '').trim();
+        if (!reason) return res.status(400).json({ success: false, message: '잠금 해제 사유(reason)를 입력해주세요.' });
+
+        const actor = getActor(req);
+        const now = new Date();
+        const doc = await db.collection(COLLECTION_WORK_HOURS_LOCKS).findOneAndUpdate(
+            { _id: month, locked: true },
+            { $set: { locked: false, unlocked_by: actor, unlocked_at: now, unlock_reason: reason, updated_at: now },
+              $push: { log: requestLogEntry('UNLOCK', actor, reason) } },
+            { returnDocument: 'after' }
+        );
+        if (!doc) return res.status(409).json({ success: false, message: `${month}은(는) 잠겨 있지 않습니다.` });
+        lockedMonths.delete(month);
+        res.json({ success: true, data: doc });
+    } catch (e) {
+        console.error('🔥 급여 마감 잠금 해제 오류:', e);
+        res.status(500).json({ success: false, message: e.message });
+    }
+});
+
 // ==========================================
 // [8] 비즈엠 알림톡
 // ==========================================
@@ -3044,6 +5510,7 @@ app.post('/api/send-alimtalk', async (req, res) => {
         const formatPrice = (num) => Number(num || 0).toLocaleString('ko-KR');
         const totalAmount = formatPrice(order.total_amount || 0);
 
+        // 비즈엠에 등록된 OFF_RECEIPTS 템플릿 본문과 같아야 알림톡으로 발송됨 (문구 추가/변경은 템플릿 재등록 후에)
         const msgText = `[Yogibo] 주문이 완료되었습니다.
 
 안녕하세요, ${customerName}님!
@@ -0,0 +1,116 @@
+// utils/annualLeave.js
+// 연차 원장 — 입사일 기준 연차 발생(근로기준법 제60조) + 사용(ANNUAL_LEAVE) 차감
+// - 1년 미만: 1개월 개근 시 1일씩 (최대 11일), 입사 1주년에 소멸
+// - 1년 이상: 매 입사기념일 15일, 3년차부터 2년마다 +1일 (최대 25일), 발생 후 1년간 사용
+// - 출근율(80%) 요건은 확인하지 않음 — 결근 등으로 달라지는 경우 담당자 프로필 annual_leave_days 로 지정
+// - 사용분은 사용일에 유효한 발생분 중 먼저 소멸하는 것부터 차감 (FIFO)
+
+const MAX_MONTHLY_DAYS = 11;
+const BASE_ANNUAL_DAYS = 15;
+const MAX_ANNUAL_DAYS = 25;
+
+// 연차 종류별 사용 일수 (ANNUAL_LEAVE 서브타입)
+const LEAVE_USAGE_DAYS = { FULL: 1, HALF_AM: 0.5, HALF_PM: 0.5 };
+
+// 'YYYY-MM-DD' + N개월 (말일 보정: 1/31 + 1개월 → 2/28)
+function addMonths(dateStr, months) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const first = new Date(Date.UTC(y, m - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+    first.setUTCDate(Math.min(d, lastDay));
+    return first.toISOString().slice(0, 10);
+}
+
+/**
+ * 근속 N년차 기념일에 발생하는 연차 일수
+ * @param {number} years - 완성 근속연수 (1 이상)
+ */
+function annualDaysForYears(years) {
+    if (years < 1) return 0;
+    return Math.min(MAX_ANNUAL_DAYS, BASE_ANNUAL_DAYS + Math.floor((years - 1) / 2));
+}
+
+/**
+ * 입사일 ~ asOf 까지 발생한 연차 목록
+ * @param {object} options - { entitlementDays: 연 단위 부여일수 지정 (담당자 프로필 annual_leave_days) }
+ * @returns {Array} [{ grant_date, expires_at, days, type: 'MONTHLY'|'ANNUAL', service_year }]
+ */
+function computeLeaveGrants(hireDate, asOf, { entitlementDays = null } = {}) {
+    const grants = [];
+    if (!hireDate || asOf < hireDate) return grants;
+
+    const firstAnniversary = addMonths(hireDate, 12);
+    for (let k = 1; k <= MAX_MONTHLY_DAYS; k++) {
+        const grantDate = addMonths(hireDate, k);
+        if (grantDate > asOf || grantDate >= firstAnniversary) break;
+        grants.push({ grant_date: grantDate, expires_at: firstAnniversary, days: 1, type: 'MONTHLY', service_year: 0 });
+    }
+    for (let n = 1; ; n++) {
+        const grantDate = addMonths(hireDate, 12 * n);
+        if (grantDate > asOf) break;
+        const days = entitlementDays !== null && entitlementDays !== undefined ? Number(entitlementDays) : annualDaysForYears(n);
+        grants.push({ grant_date: grantDate, expires_at: addMonths(hireDate, 12 * (n + 1)), days, type: 'ANNUAL', service_year: n });
+    }
+    return grants;
+}
+
+// 근무 기록 1건의 연차 사용 일수 (ANNUAL_LEAVE 가 아니면 0)
+function leaveUsageDays(entry) {
+    const cats = Array.isArray(entry.categories) ? entry.categories : (entry.category ? [entry.category] : []);
+    if (!cats.includes('ANNUAL_LEAVE')) return 0;
+    return LEAVE_USAGE_DAYS[entry.annual_leave_type] ?? 1;
+}
+
+/**
+ * 연차 잔여 계산
+ * @param {object} params - { hireDate, asOf, entitlementDays, entries: workHours 기록 }
+ * @returns {object} { grants, granted_days, used_days, remaining_days, expired_days, unallocated_days, usages }
+ */
+function computeLeaveBalance({ hireDate, asOf, entitlementDays = null, entries = [] }) {
+    const grants = computeLeaveGrants(hireDate, asOf, { entitlementDays }).map(g => ({ ...g, used: 0 }));
+    const usages = entries
+        .map(e => ({ work_date: e.work_date, days: leaveUsageDays(e), annual_leave_type: e.annual_leave_type || 'FULL', _id: e._id }))
+        .filter(u => u.days > 0 && u.work_date <= asOf)
+        .sort((a, b) => a.work_date.localeCompare(b.work_date));
+
+    let unallocated = 0;
+    usages.forEach(u => {
+        let need = u.days;
+        // 사용일에 유효한 발생분 — 먼저 소멸하는 순
+        const valid = grants
+            .filter(g => g.grant_date <= u.work_date && u.work_date < g.expires_at && g.used < g.days)
+            .sort((a, b) => a.expires_at.localeCompare(b.expires_at) || a.grant_date.localeCompare(b.grant_date));
+        for (const g of valid) {
+            if (need <= 0) break;
+            const take = Math.min(need, g.days - g.used);
+            g.used += take;
+            need -= take;
+        }
+        if (need > 0) {
+            unallocated += need;
+            u.unallocated = need;
+        }
+    });
+
+    let granted = 0, used = 0, remaining = 0, expired = 0;
+    grants.forEach(g => {
+        g.remaining = g.days - g.used;
+        g.expired = g.expires_at <= asOf;
+        granted += g.days;
+        used += g.used;
+        if (g.expired) expired += g.remaining;
+        else remaining += g.remaining;
+    });
+
+    return {
+        grants,
+        granted_days: granted,
+        used_days: used + unallocated,
+        remaining_days: remaining,
+        expired_days: expired,
+        unallocated_days: unallocated,   // 발생분 없이 사용된 일수 (선사용 / 입사일 오류 확인용)
+        usages
+    };
+}
+
+module.exports = { LEAVE_USAGE_DAYS, addMonths, annualDaysForYears, computeLeaveGrants, leaveUsageDays, computeLeaveBalance };
@@ -0,0 +1,71 @@
+// utils/authToken.js
+// 세션 토큰 (HMAC-SHA256 서명 + 만료시각) — 외부 라이브러리 없이 crypto 만 사용
+// 형식: base64url(JSON payload) + '.' + base64url(서명)
+const crypto = require("crypto");
+
+const b64url = buf => Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const fromB64url = str => Buffer.from(String(str).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+function sign(body, secret) {
+    return b64url(crypto.createHmac('sha256', secret).update(body).digest());
+}
+
+/**
+ * 토큰 발급
+ * @param {object} claims - { sub, store_name, ... } (iat / exp 는 자동)
+ * @param {object} options - { secret, ttlSeconds }
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+function issueToken(claims, { secret, ttlSeconds }) {
+    const iat = Math.floor(Date.now() / 1000);
+    const payload = { ...claims, iat, exp: iat + ttlSeconds };
+    const body = b64url(JSON.stringify(payload));
+    return { token: `${body}.${sign(body, secret)}`, expiresAt: new Date(payload.exp * 1000) };
+}
+
+/**
+ * 토큰 검증
+ * @returns {object} { payload } | { error }
+ */
+function verifyToken(token, secret) {
+    if (!token || typeof token !== 'string') return { error: '인증 토큰이 없습니다.' };
+    const [body, sig] = token.split('.');
+    if (!body || !sig) return { error: '인증 토큰 형식이 올바르지 않습니다.' };
+
+    const expected = Buffer.from(sign(body, secret));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return { error: '인증 토큰이 유효하지 않습니다.' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(fromB64url(body).toString('utf8'));
+    } catch (e) {
+        return { error: '인증 토큰 형식이 올바르지 않습니다.' };
+    }
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) return { error: '인증이 만료되었습니다. 다시 로그인해주세요.' };
+    return { payload };
+}
+
+// Authorization: Bearer <token> 헤더에서 토큰 추출
+function extractBearerToken(req) {
+    const header = (req.headers && req.headers.authorization) || '';
+    const m = header.match(/^Bearer\s+(.+)$/i);
+    return m ? m[1].trim() : null;
+}
+
+// X-Api-Key 헤더 (세션 로그인이 불가능한 외부 매크로용 서비스 키)
+function extractApiKey(req) {
+    const key = req.headers && req.headers['x-api-key'];
+    return typeof key === 'string' && key.trim() ? key.trim() : null;
+}
+
+// 서비스 키 비교 — 길이와 무관하게 상수 시간 비교 (해시 후 timingSafeEqual)
+function verifyApiKey(given, expected) {
+    if (!given || !expected) return false;
+    const digest = v => crypto.createHash('sha256').update(String(v)).digest();
+    return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+module.exports = { issueToken, verifyToken, extractBearerToken, extractApiKey, verifyApiKey };
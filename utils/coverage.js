@@ -0,0 +1,92 @@
+// utils/coverage.js
+// 매장 인력 배치 현황 — 매장 × 일자 (× 시간대) 근무 인원 + 최소 인원 미달 + 휴가 겹침
+// - 근무 구간은 index.js 가 준비 (지난 날짜 = 실제 WORK 기록, 오늘 = 실제 있으면 실제 / 없으면 계획, 내일 이후 = 근무 계획표)
+// - 영업시간(opening_hours)이 있는 매장만 시간대별 미달을 판정
+// - 순수 함수만
+
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+const toMin = s => { const [h, m] = String(s).split(':').map(Number); return h * 60 + m; };
+
+function daysOfMonth(month) {
+    const [y, m] = month.split('-').map(Number);
+    const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    return Array.from({ length: last }, (_, i) => `${month}-${String(i + 1).padStart(2, '0')}`);
+}
+
+// 근무 구간 [start, end) 분 단위 — 자정 넘김은 당일 24시까지만 (익일분은 매장 영업시간 밖)
+// end 없음 = 퇴근 전 출근 기록 → 그날 끝까지 근무 중으로 봄
+function shiftRange(shift) {
+    const start = toMin(shift.start);
+    let end = shift.end ? toMin(shift.end) : 24 * 60;
+    if (end <= start) end = 24 * 60;
+    return [start, end];
+}
+
+/**
+ * 매장 1곳의 월간 배치 현황
+ * @param {object} params
+ *   - month: 'YYYY-MM'
+ *   - shifts: [{ manager_id, manager_name, work_date, start: 'HH:MM', end: 'HH:MM'|null, source: 'actual'|'punch_open'|'plan' }]
+ *   - leaves: [{ manager_id, manager_name, work_date, type, status: 'APPROVED'|'REQUESTED' }]
+ *   - minStaff: 최소 인원
+ *   - openingHours: { open, close, closed_weekdays } | null
+ * @returns {object} { days, below_min_days, leave_overlap_days }
+ */
+function computeStoreCoverage({ month, shifts = [], leaves = [], minStaff = 1, openingHours = null }) {
+    const shiftsByDate = new Map();
+    shifts.forEach(s => {
+        if (!shiftsByDate.has(s.work_date)) shiftsByDate.set(s.work_date, []);
+        shiftsByDate.get(s.work_date).push(s);
+    });
+    const leavesByDate = new Map();
+    leaves.forEach(l => {
+        if (!leavesByDate.has(l.work_date)) leavesByDate.set(l.work_date, []);
+        leavesByDate.get(l.work_date).push(l);
+    });
+
+    const closedWeekdays = openingHours && Array.isArray(openingHours.closed_weekdays) ? openingHours.closed_weekdays : [];
+    const days = daysOfMonth(month).map(date => {
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        const closed = closedWeekdays.includes(weekday);
+        const dayShifts = shiftsByDate.get(date) || [];
+        const managers = [...new Map(dayShifts.map(s => [s.manager_id, { manager_id: s.manager_id, manager_name: s.manager_name, start: s.start, end: s.end, source: s.source }])).values()];
+
+        // 시간대별 인원 (영업시간 있으면 그 범위, 없으면 근무가 있는 시간대만)
+        const hourly = [];
+        const fromHour = openingHours ? Math.floor(toMin(openingHours.open) / 60) : 0;
+        const toHour = openingHours ? Math.ceil(toMin(openingHours.close) / 60) : 24;
+        for (let h = fromHour; h < toHour; h++) {
+            const slotStart = h * 60, slotEnd = slotStart + 60;
+            const ids = new Set(dayShifts.filter(s => {
+                const [a, b] = shiftRange(s);
+                return a < slotEnd && b > slotStart;
+            }).map(s => s.manager_id));
+            if (openingHours || ids.size > 0) hourly.push({ hour: h, count: ids.size });
+        }
+        const understaffedHours = openingHours && !closed ? hourly.filter(x => x.count < minStaff).map(x => x.hour) : [];
+
+        const dayLeaves = leavesByDate.get(date) || [];
+        const leaveManagers = new Set(dayLeaves.map(l => l.manager_id));
+        return {
+            date,
+            weekday: WEEKDAY_LABELS[weekday],
+            closed,
+            headcount: managers.length,
+            managers,
+            below_min: !closed && managers.length < minStaff,
+            hourly,
+            understaffed_hours: understaffedHours,
+            leaves: dayLeaves,
+            leave_overlap: leaveManagers.size >= 2
+        };
+    });
+
+    return {
+        days,
+        below_min_days: days.filter(d => d.below_min || d.understaffed_hours.length > 0).map(d => d.date),
+        leave_overlap_days: days.filter(d => d.leave_overlap).map(d => d.date)
+    };
+}
+
+module.exports = { computeStoreCoverage };
@@ -0,0 +1,139 @@
+// utils/ecountApi.js
+// 이카운트 OpenAPI 어댑터 (Zone 조회 → 로그인/세션 → 판매입력 SaveSale)
+// - baseUrl 을 지정하면 Zone 조회 없이 해당 주소로만 호출 → 로컬 스텁 서버(ecountStubServer.js) 테스트용
+const axios = require("axios");
+
+const ZONE_URL = 'https://oapi.ecount.com/OAPI/V2/Zone';
+
+// 판매입력 라인(utils/ecountSheet.js) → SaveSale BulkDatas
+function toBulkData(line) {
+    return {
+        IO_DATE: line.io_date,
+        UPLOAD_SER_NO: String(line.upload_ser_no),
+        CUST: line.cust,
+        CUST_DES: line.cust_des,
+        EMP_CD: line.emp_cd,
+        WH_CD: line.wh_cd,
+        IO_TYPE: line.io_type,
+        PROD_CD: line.prod_cd,
+        PROD_DES: line.prod_des,
+        SIZE_DES: line.size_des,
+        QTY: String(line.qty),
+        PRICE: String(line.price),
+        SUPPLY_AMT: String(line.supply_amt),
+        VAT_AMT: String(line.vat_amt),
+        REMARKS: line.remarks
+    };
+}
+
+// 세션 만료/무효 응답 판별 → 재로그인 후 1회 재시도
+function isSessionError(data) {
+    if (!data || String(data.Status) === '200') return false;
+    const msg = `${data.Error && data.Error.Message || ''} ${data.Error && data.Error.Code || ''}`.toLowerCase();
+    return msg.includes('session') || msg.includes('세션') || String(data.Status) === '401';
+}
+
+/**
+ * @param {object} config - { comCode, userId, apiCertKey, zone, baseUrl, lanType, http }
+ */
+function createEcountClient(config = {}) {
+    const http = config.http || axios;
+    let zone = config.zone || null;
+    let sessionId = null;
+
+    async function getBaseUrl() {
+        if (config.baseUrl) return config.baseUrl.replace(/\/+$/, '');
+        if (!zone) {
+            const r = await http.post(ZONE_URL, { COM_CODE: config.comCode });
+            zone = r.data && r.data.Data && r.data.Data.ZONE;
+            if (!zone) throw new Error('이카운트 Zone 조회 실패');
+        }
+        return `https://oapi${zone}.ecount.com`;
+    }
+
+    async function login() {
+        const base = await getBaseUrl();
+        const r = await http.post(`${base}/OAPI/V2/OAPILogin`, {
+            COM_CODE: config.comCode,
+            USER_ID: config.userId,
+            API_CERT_KEY: config.apiCertKey,
+            LAN_TYPE: config.lanType || 'ko-KR',
+            ZONE: zone || ''
+        });
+        const datas = r.data && r.data.Data && r.data.Data.Datas;
+        if (!datas || !datas.SESSION_ID) {
+            const msg = (r.data && r.data.Error && r.data.Error.Message) || (r.data && r.data.Data && r.data.Data.Message) || '응답에 SESSION_ID 없음';
+            throw new Error(`이카운트 로그인 실패: ${msg}`);
+        }
+        sessionId = datas.SESSION_ID;
+        return sessionId;
+    }
+
+    async function callWithSession(apiPath, body, retry = false) {
+        if (!sessionId) await login();
+        const base = await getBaseUrl();
+        const r = await http.post(`${base}${apiPath}?SESSION_ID=${encodeURIComponent(sessionId)}`, body);
+        if (isSessionError(r.data) && !retry) {
+            sessionId = null;
+            return await callWithSession(apiPath, body, true);
+        }
+        return r.data;
+    }
+
+    /**
+     * 판매입력 저장
+     * @param {Array} lines - buildEcountSaleLines 결과 라인
+     * @returns {object} { successCount, failCount, slipNos, lines: [{ ...line, success, message }] }
+     */
+    async function saveSale(lines) {
+        const data = await callWithSession('/OAPI/V2/Sale/SaveSale', {
+            SaleList: lines.map(line => ({ BulkDatas: toBulkData(line) }))
+        });
+        if (!data || String(data.Status) !== '200' || !data.Data) {
+            const msg = (data && data.Error && data.Error.Message) || '이카운트 응답 오류';
+            throw new Error(`이카운트 SaveSale 실패: ${msg}`);
+        }
+
+        const details = Array.isArray(data.Data.ResultDetails) ? data.Data.ResultDetails : [];
+        return {
+            successCount: Number(data.Data.SuccessCnt || 0),
+            failCount: Number(data.Data.FailCnt || 0),
+            slipNos: data.Data.SlipNos || [],
+            lines: lines.map((line, i) => {
+                const d = details[i] || {};
+                const errors = Array.isArray(d.Errors) ? d.Errors : [];
+                const success = d.IsSuccess === true || d.IsSuccess === 'true';
+                return {
+                    ...line,
+                    success,
+                    message: success ? '' : (errors.map(e => e.Message).filter(Boolean).join(' / ') || d.TotalError || '이카운트 등록 실패')
+                };
+            })
+        };
+    }
+
+    return { login, saveSale };
+}
+
+/**
+ * 라인별 결과 → 주문별 결과
+ * 한 주문(전표)의 라인이 하나라도 실패하면 주문 전체 실패
+ */
+function summarizeByOrder(lineResults) {
+    const byOrder = new Map();
+    lineResults.forEach(l => {
+        if (!byOrder.has(l.order_id)) byOrder.set(l.order_id, { order_id: l.order_id, success: true, messages: [] });
+        const o = byOrder.get(l.order_id);
+        if (!l.success) {
+            o.success = false;
+            o.messages.push(`[${l.prod_cd || l.prod_des}] ${l.message}`);
+        }
+    });
+    return [...byOrder.values()].map(o => ({
+        order_id: o.order_id,
+        success: o.success,
+        message: o.success ? '이카운트 API 등록 완료' : o.messages.join('\n')
+    }));
+}
+
+module.exports = { createEcountClient, summarizeByOrder, toBulkData };
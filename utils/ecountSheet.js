@@ -0,0 +1,176 @@
+// utils/ecountSheet.js
+// 이카운트 판매입력 라인 생성 + 엑셀(xlsx) 렌더링
+// - 주문 1건 = 전표 1장 (같은 '순서' 번호), 주문 상품 1개 = 전표 라인 1줄
+// - 매장/창고/담당자 코드는 DB 마스터(ecountStores / ecountWarehouses / staticManagers)에서 조회
+const ExcelJS = require("exceljs");
+const { matchItemCode } = require('./itemMatcher');
+
+// 이카운트 판매입력 업로드 양식 (컬럼 순서 = 업로드 양식 순서)
+const ECOUNT_SALE_COLUMNS = [
+    { header: '일자',       key: 'io_date',       width: 10 },
+    { header: '순서',       key: 'upload_ser_no', width: 6 },
+    { header: '거래처코드', key: 'cust',          width: 14 },
+    { header: '거래처명',   key: 'cust_des',      width: 20 },
+    { header: '담당자',     key: 'emp_cd',        width: 12 },
+    { header: '출하창고',   key: 'wh_cd',         width: 10 },
+    { header: '거래유형',   key: 'io_type',       width: 8 },
+    { header: '품목코드',   key: 'prod_cd',       width: 16 },
+    { header: '품목명',     key: 'prod_des',      width: 36 },
+    { header: '규격',       key: 'size_des',      width: 20 },
+    { header: '수량',       key: 'qty',           width: 6 },
+    { header: '단가',       key: 'price',         width: 10 },
+    { header: '공급가액',   key: 'supply_amt',    width: 12 },
+    { header: '부가세',     key: 'vat_amt',       width: 10 },
+    { header: '적요',       key: 'remarks',       width: 30 }
+];
+
+const SHEET_NAME = '판매입력';
+const DEFAULT_WAREHOUSE_CODE = 'C0001';
+
+const norm = s => String(s || '').replace(/\s+/g, '').trim();
+
+// 적요에 심는 주문 참조키 — 매크로 결과를 주문과 1:1로 되짚을 때 사용 (utils/syncMatcher.js)
+//   - 주문번호가 있으면 [GN-20261019-0007], 옛 주문은 [OID:<_id>]
+const ORDER_REF_RE = /\[(?:OID:([0-9a-fA-F]{24})|([A-Z0-9]+-\d{8}-\d{4}))\]/;
+function formatOrderRef(order) {
+    return order.order_no ? `[${order.order_no}]` : `[OID:${String(order._id)}]`;
+}
+
+// 주문 생성일 → 한국시간 기준 'YYYYMMDD'
+function toKSTDateCode(date) {
+    const d = date ? new Date(date) : new Date();
+    return d.toLocaleDateString('en-CA', { timeZone: 'Asia/Seoul' }).replace(/-/g, '');
+}
+
+/**
+ * 마스터 데이터 조회기
+ * 주문에 코드가 직접 들어있으면 그 코드를 우선 사용하고, 없으면 이름으로 마스터를 찾는다.
+ * 창고/담당자가 주문에 없으면 매장 마스터의 기본 창고(warehouse_code) / 첫 배정 담당자(manager_codes[0])를 쓴다.
+ */
+function createMasterLookup({ stores = [], warehouses = [], managers = [], defaultWarehouseCode = DEFAULT_WAREHOUSE_CODE } = {}) {
+    const storeByName = new Map(stores.map(s => [norm(s.name), s]));
+    const storeByCode = new Map(stores.map(s => [String(s.code), s]));
+    const whByCode = new Map(warehouses.map(w => [String(w.warehouse_code), w]));
+    const whByName = new Map(warehouses.map(w => [norm(w.warehouse_name), w]));
+    const mgrByCode = new Map(managers.map(m => [String(m.manager_code), m]));
+    const mgrByName = new Map(managers.map(m => [norm(m.manager_name), m]));
+
+    const findStore = order => (order.store_code && storeByCode.get(String(order.store_code))) || storeByName.get(norm(order.store_name));
+
+    return {
+        store(order) {
+            const s = findStore(order);
+            return { code: s ? String(s.code) : '', name: s ? s.name : String(order.store_name || '') };
+        },
+        warehouse(order) {
+            const s = findStore(order);
+            const w = (order.warehouse_code && whByCode.get(String(order.warehouse_code)))
+                || (order.warehouse_name && whByName.get(norm(order.warehouse_name)))
+                || (s && s.warehouse_code && whByCode.get(String(s.warehouse_code)));
+            return w ? String(w.warehouse_code) : defaultWarehouseCode;
+        },
+        manager(order) {
+            const s = findStore(order);
+            const storeManagers = s && Array.isArray(s.manager_codes) ? s.manager_codes : [];
+            const m = (order.manager_code && mgrByCode.get(String(order.manager_code)))
+                || (order.manager_name && mgrByName.get(norm(order.manager_name)))
+                || (storeManagers.length > 0 && mgrByCode.get(String(storeManagers[0])));
+            return m ? String(m.manager_code) : '';
+        }
+    };
+}
+
+// VAT 포함 금액 → 공급가액 / 부가세 분리 (원 단위 반올림)
+function splitVat(amount) {
+    const supply = Math.round(amount / 1.1);
+    return { supply_amt: supply, vat_amt: amount - supply };
+}
+
+/**
+ * 주문 목록 → 이카운트 판매입력 라인
+ * @param {Array} orders - created_at 오름차순 정렬된 주문
+ * @param {object} masters - { stores, warehouses, managers, defaultWarehouseCode }
+ * @returns {{ lines: Array, unmatched: Array }} unmatched = 품목코드 매핑 실패 라인
+ */
+function buildEcountSaleLines(orders, masters) {
+    const lookup = createMasterLookup(masters);
+    const lines = [];
+    const unmatched = [];
+
+    orders.forEach((order, idx) => {
+        const store = lookup.store(order);
+        const whCd = lookup.warehouse(order);
+        const empCd = lookup.manager(order);
+        const ioDate = toKSTDateCode(order.created_at);
+        const serNo = idx + 1;
+
+        // items 없는 옛 주문: total_amount 는 합계금액 → 단가 = 합계 / 수량, 공급가/부가세는 합계 그대로 나눔
+        const legacyQty = Math.max(1, Number(order.quantity) || 1);
+        const items = Array.isArray(order.items) && order.items.length > 0
+            ? order.items
+            : [{ product_name: order.product_name, option_name: order.option_name, price: (Number(order.total_amount) || 0) / legacyQty, quantity: legacyQty, line_amount: Number(order.total_amount) || 0 }];
+
+        items.forEach(it => {
+            const optionName = it.option_name && it.option_name !== '.' ? it.option_name : '';
+            const code = it.item_code || matchItemCode(it.product_name, optionName).code;
+            const qty = Math.max(1, Number(it.quantity) || 1);
+            const price = Math.floor(Number(it.price) || 0);
+            const line = {
+                order_id: String(order._id),
+                io_date: ioDate,
+                upload_ser_no: serNo,
+                cust: store.code,
+                cust_des: store.name,
+                emp_cd: empCd,
+                wh_cd: whCd,
+                io_type: String(order.sales_type || ''),
+                prod_cd: code || '',
+                prod_des: String(it.product_name || ''),
+                size_des: optionName,
+                qty,
+                price,
+                ...splitVat(it.line_amount !== undefined ? Math.floor(it.line_amount) : price * qty),
+                // 적요 = 고객명 + 주문 참조키 → 매크로 결과(sync-by-content) 매칭용
+                remarks: `${String(order.customer_name || '')} ${formatOrderRef(order)}`.trim()
+            };
+            if (!line.prod_cd) unmatched.push({ order_id: line.order_id, prod_des: line.prod_des, size_des: line.size_des });
+            lines.push(line);
+        });
+    });
+
+    return { lines, unmatched };
+}
+
+/**
+ * 판매입력 라인 → ExcelJS 워크북
+ * 같은 배치는 항상 같은 바이트가 나오도록 문서 생성/수정일을 고정값(createdAt)으로 기록한다.
+ */
+function buildEcountSalesWorkbook(lines, { createdAt } = {}) {
+    const fixedDate = createdAt ? new Date(createdAt) : new Date(0);
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'offOrder';
+    workbook.lastModifiedBy = 'offOrder';
+    workbook.created = fixedDate;
+    workbook.modified = fixedDate;
+
+    const sheet = workbook.addWorksheet(SHEET_NAME);
+    sheet.columns = ECOUNT_SALE_COLUMNS.map(c => ({ header: c.header, key: c.key, width: c.width }));
+    sheet.getRow(1).font = { bold: true };
+    lines.forEach(line => sheet.addRow(line));
+    // 코드 컬럼은 앞자리 0이 날아가지 않도록 문자열 서식 유지
+    ['io_date', 'cust', 'emp_cd', 'wh_cd', 'io_type', 'prod_cd'].forEach(key => {
+        sheet.getColumn(key).numFmt = '@';
+    });
+    return workbook;
+}
+
+module.exports = {
+    ECOUNT_SALE_COLUMNS,
+    DEFAULT_WAREHOUSE_CODE,
+    ORDER_REF_RE,
+    formatOrderRef,
+    toKSTDateCode,
+    createMasterLookup,
+    buildEcountSaleLines,
+    buildEcountSalesWorkbook
+};
@@ -0,0 +1,112 @@
+// utils/flexLedger.js
+// 시차 원장 — 월별 적립/사용/소멸 + 선입선출(FIFO) 차감 + 마이너스(빚) 정산
+// - 적립(+flex_delta)은 적립 월 기준 lot 으로 쌓이고, 사용(−)은 오래된 lot 부터 차감
+// - flex_expiry_months = N 이면 M월 적립분은 M+N월 마감 때 남은 만큼 소멸
+// - flex_debt_clear 주기(MONTH/QUARTER/HALF/YEAR) 마감 때 남은 마이너스는 정산 처리 (급여 공제 대상으로 보고)
+// - 마감 결과는 index.js 가 FLEX_ADJUSTMENT 기록(flex_close_type)으로 남김 → 원장 재계산 시에는 제외
+
+const DEBT_CLEAR_MONTHS = {
+    MONTH:   [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+    QUARTER: [3, 6, 9, 12],
+    HALF:    [6, 12],
+    YEAR:    [12]
+};
+
+const round2 = v => Math.round((v || 0) * 100) / 100;
+
+// 'YYYY-MM' + N개월
+function addMonth(month, n) {
+    const [y, m] = month.split('-').map(Number);
+    const d = new Date(Date.UTC(y, m - 1 + n, 1));
+    return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function lastDateOfMonth(month) {
+    const [y, m] = month.split('-').map(Number);
+    return `${month}-${String(new Date(Date.UTC(y, m, 0)).getUTCDate()).padStart(2, '0')}`;
+}
+
+function isDebtClearMonth(month, debtClear) {
+    const months = DEBT_CLEAR_MONTHS[debtClear];
+    return !!months && months.includes(Number(month.slice(5, 7)));
+}
+
+/**
+ * 원장 재계산
+ * @param {Array} entries - 담당자 1명의 workHours 기록 (flex_delta, work_date)
+ * @param {object} options - { expiryMonths, debtClear, untilMonth: 'YYYY-MM' (포함) }
+ * @returns {object} { months: [{ month, earned, used, expired, debt_settled, balance_end, debt_end }], lots, balance, debt }
+ */
+function buildFlexLedger(entries, { expiryMonths = null, debtClear = null, untilMonth }) {
+    const raw = entries
+        .filter(e => !e.flex_close_type && Number(e.flex_delta) && e.work_date && e.work_date.slice(0, 7) <= untilMonth)
+        .sort((a, b) => a.work_date.localeCompare(b.work_date) || String(a.created_at || '').localeCompare(String(b.created_at || '')));
+    if (raw.length === 0) return { months: [], lots: [], balance: 0, debt: 0 };
+
+    const byMonth = new Map();
+    raw.forEach(e => {
+        const m = e.work_date.slice(0, 7);
+        if (!byMonth.has(m)) byMonth.set(m, []);
+        byMonth.get(m).push(e);
+    });
+
+    const lots = [];
+    let debt = 0;
+    const months = [];
+    for (let month = raw[0].work_date.slice(0, 7); month <= untilMonth; month = addMonth(month, 1)) {
+        const stat = { month, earned: 0, used: 0, expired: 0, debt_settled: 0 };
+        (byMonth.get(month) || []).forEach(e => {
+            const delta = Number(e.flex_delta);
+            if (delta > 0) {
+                stat.earned += delta;
+                const repay = Math.min(debt, delta);   // 적립분은 빚부터 갚음
+                debt -= repay;
+                if (delta - repay > 0) {
+                    lots.push({ earned_date: e.work_date, month, hours: round2(delta - repay), remaining: delta - repay, expires_month: expiryMonths ? addMonth(month, expiryMonths) : null });
+                }
+            } else {
+                stat.used += -delta;
+                let need = -delta;
+                for (const lot of lots) {
+                    if (need <= 0) break;
+                    if (lot.remaining <= 0) continue;
+                    const take = Math.min(lot.remaining, need);
+                    lot.remaining -= take;
+                    need -= take;
+                }
+                debt += need;
+            }
+        });
+        // 월말 마감: 소멸 → 빚 정산
+        lots.forEach(lot => {
+            if (lot.expires_month === month && lot.remaining > 0) {
+                stat.expired += lot.remaining;
+                lot.remaining = 0;
+            }
+        });
+        if (debt > 0 && isDebtClearMonth(month, debtClear)) {
+            stat.debt_settled = debt;
+            debt = 0;
+        }
+        const remaining = lots.reduce((s, l) => s + l.remaining, 0);
+        months.push({
+            month,
+            earned: round2(stat.earned),
+            used: round2(stat.used),
+            expired: round2(stat.expired),
+            debt_settled: round2(stat.debt_settled),
+            balance_end: round2(remaining - debt),
+            debt_end: round2(debt)
+        });
+    }
+
+    const openLots = lots.filter(l => l.remaining > 0.0001).map(l => ({ ...l, remaining: round2(l.remaining) }));
+    return {
+        months,
+        lots: openLots,
+        balance: round2(openLots.reduce((s, l) => s + l.remaining, 0) - debt),
+        debt: round2(debt)
+    };
+}
+
+module.exports = { DEBT_CLEAR_MONTHS, addMonth, lastDateOfMonth, buildFlexLedger };
@@ -0,0 +1,171 @@
+// utils/masterData.js
+// 마스터 데이터(매장 / 창고 / 담당자) 정의 + 레코드 검증 + 버전 간 변경 비교
+// - 실제 저장/트랜잭션/버전 기록은 index.js [6-5] 에서 처리, 여기는 순수 함수만
+
+// type → 고유키 / 이름 필드 / 코드 외에 겹치면 안 되는 필드 (컬렉션 이름은 index.js 의 COLLECTION_* 상수로 연결)
+const MASTER_TYPES = {
+    stores:     { key: 'code',           nameField: 'name',           label: '매장(거래처)', unique: ['order_prefix'] },
+    warehouses: { key: 'warehouse_code', nameField: 'warehouse_name', label: '창고' },
+    managers:   { key: 'manager_code',   nameField: 'manager_name',   label: '담당자' }
+};
+
+const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * 매장 전용 필드 정규화 (통합 매장 마스터)
+ * - warehouse_code: 기본 출하창고 (ecountWarehouses.warehouse_code)
+ * - manager_codes: 배정 담당자 (staticManagers.manager_code), 첫 번째가 기본 담당자
+ * - opening_hours: { open: 'HH:MM', close: 'HH:MM', closed_weekdays: [0~6] } (0 = 일요일)
+ * - is_active: 폐점/휴점 매장은 false (주문 폼 목록에서 제외)
+ * - order_prefix: 주문번호 접두어 (영문 대문자/숫자 1~6자, 매장마다 달라야 함 / 'OFF' 는 예약)
+ * - min_staff: 영업일 최소 근무 인원 (인력 배치 현황 미달 기준, 기본 1)
+ * @returns {string|null} 오류 메시지
+ */
+function normalizeStoreFields(value) {
+    if (value.warehouse_code !== undefined && value.warehouse_code !== null) {
+        value.warehouse_code = String(value.warehouse_code).trim() || null;
+    }
+    if (value.manager_codes !== undefined) {
+        if (!Array.isArray(value.manager_codes)) return '담당자 목록(manager_codes)은 배열이어야 합니다.';
+        value.manager_codes = [...new Set(value.manager_codes.map(c => String(c).trim()).filter(Boolean))];
+    }
+    if (value.opening_hours !== undefined && value.opening_hours !== null) {
+        const oh = value.opening_hours;
+        if (typeof oh !== 'object' || !HHMM_RE.test(oh.open || '') || !HHMM_RE.test(oh.close || '')) {
+            return '영업시간(opening_hours)은 { open: "HH:MM", close: "HH:MM" } 형식이어야 합니다.';
+        }
+        const closed = Array.isArray(oh.closed_weekdays) ? oh.closed_weekdays.map(Number) : [];
+        if (closed.some(d => !Number.isInteger(d) || d < 0 || d > 6)) return '휴무 요일(closed_weekdays)은 0(일)~6(토) 숫자여야 합니다.';
+        value.opening_hours = { open: oh.open, close: oh.close, closed_weekdays: [...new Set(closed)].sort() };
+    }
+    value.is_active = value.is_active === undefined ? true : value.is_active === true || value.is_active === 'true';
+    if (value.order_prefix !== undefined && value.order_prefix !== null && value.order_prefix !== '') {
+        value.order_prefix = String(value.order_prefix).trim().toUpperCase();
+        if (!/^[A-Z0-9]{1,6}$/.test(value.order_prefix)) return '주문번호 접두어(order_prefix)는 영문/숫자 1~6자여야 합니다.';
+        if (value.order_prefix === 'OFF') return "주문번호 접두어 'OFF' 는 접두어 없는 매장용으로 예약되어 있습니다.";
+    }
+    if (value.min_staff !== undefined && value.min_staff !== null && value.min_staff !== '') {
+        const n = Number(value.min_staff);
+        if (!Number.isInteger(n) || n < 0 || n > 50) return '최소 근무 인원(min_staff)은 0~50 정수여야 합니다.';
+        value.min_staff = n;
+    }
+    return null;
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 담당자(근무자) 프로필 필드 정규화 — 근무관리(work-hours)가 요청값 대신 이 값을 사용
+ * - role: 직급/계약 형태 ('일급제'이면 시차 발생/사용 미적용)
+ * - home_store: 소속 매장명 (근무 기록의 store_name)
+ * - hire_date / retired_at: 'YYYY-MM-DD' (입사일 이전·퇴사일 이후 근무 입력 거부)
+ * - standard_hours: 계약 일 기준 근무시간 (없으면 회사 기본값)
+ * - annual_leave_days: 연차 부여일수 (없으면 근속 기준 자동 산정)
+ * - is_active: 퇴사/휴직자는 false
+ * @returns {string|null} 오류 메시지
+ */
+function normalizeManagerFields(value) {
+    value.role = String(value.role ?? '').trim();
+    value.home_store = String(value.home_store ?? '').trim();
+    for (const f of ['hire_date', 'retired_at']) {
+        if (value[f] === undefined || value[f] === null || value[f] === '') { value[f] = null; continue; }
+        value[f] = String(value[f]).trim();
+        if (!DATE_RE.test(value[f])) return `${f === 'hire_date' ? '입사일(hire_date)' : '퇴사일(retired_at)'}은 YYYY-MM-DD 형식이어야 합니다.`;
+    }
+    if (value.hire_date && value.retired_at && value.retired_at < value.hire_date) return '퇴사일이 입사일보다 빠릅니다.';
+    for (const [f, label, max] of [['standard_hours', '기준 근무시간(standard_hours)', 24], ['annual_leave_days', '연차 부여일수(annual_leave_days)', 366]]) {
+        if (value[f] === undefined || value[f] === null || value[f] === '') { value[f] = null; continue; }
+        const n = Number(value[f]);
+        if (!Number.isFinite(n) || n < 0 || n > max) return `${label}은(는) 0~${max} 사이 숫자여야 합니다.`;
+        value[f] = n;
+    }
+    value.is_active = value.is_active === undefined ? !value.retired_at : value.is_active === true || value.is_active === 'true';
+    return null;
+}
+
+const TYPE_NORMALIZERS = { stores: normalizeStoreFields, managers: normalizeManagerFields };
+
+// 저장 시 항상 서버가 채우는 필드 — 클라이언트 값은 무시
+const SYSTEM_FIELDS = ['_id', 'created_at', 'updated_at', 'source'];
+
+function stripSystemFields(record) {
+    const out = { ...record };
+    SYSTEM_FIELDS.forEach(k => { delete out[k]; });
+    return out;
+}
+
+/**
+ * 레코드 1건 검증
+ * @returns {object} { value } | { error }
+ */
+function validateMasterRecord(type, record) {
+    const def = MASTER_TYPES[type];
+    if (!def) return { error: '알 수 없는 마스터 데이터 종류입니다.' };
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return { error: `${def.label} 정보가 올바르지 않습니다.` };
+
+    const value = stripSystemFields(record);
+    const key = String(value[def.key] ?? '').trim();
+    const name = String(value[def.nameField] ?? '').trim();
+    if (!key) return { error: `${def.label} 코드(${def.key})를 입력해주세요.` };
+    if (!name) return { error: `${def.label} 이름(${def.nameField})을 입력해주세요.` };
+    value[def.key] = key;
+    value[def.nameField] = name;
+    const normalize = TYPE_NORMALIZERS[type];
+    const typeError = normalize ? normalize(value) : null;
+    if (typeError) return { error: `${def.label} ${key}: ${typeError}` };
+    return { value };
+}
+
+/**
+ * 일괄 등록 목록 검증 (전체 교체용)
+ * - 빈 목록은 전체 삭제와 같으므로 거부
+ * - 코드 중복 / unique 필드(매장 주문번호 접두어 등) 중복 거부
+ * @returns {object} { value: Array } | { error, errors }
+ */
+function validateMasterImport(type, records) {
+    const def = MASTER_TYPES[type];
+    if (!def) return { error: '알 수 없는 마스터 데이터 종류입니다.' };
+    if (!Array.isArray(records) || records.length === 0) return { error: `${def.label} 목록이 비어 있습니다. (전체 삭제는 허용하지 않습니다)` };
+
+    const errors = [];
+    const seen = new Set();
+    const seenUnique = new Map((def.unique || []).map(f => [f, new Set()]));
+    const value = [];
+    records.forEach((record, i) => {
+        const r = validateMasterRecord(type, record);
+        if (r.error) { errors.push({ index: i, message: `${i + 1}번째: ${r.error}` }); return; }
+        const key = r.value[def.key];
+        if (seen.has(key)) { errors.push({ index: i, message: `${i + 1}번째: 코드 ${key} 이(가) 중복되었습니다.` }); return; }
+        const dupField = [...seenUnique.keys()].find(f => r.value[f] && seenUnique.get(f).has(r.value[f]));
+        if (dupField) { errors.push({ index: i, message: `${i + 1}번째: ${dupField} ${r.value[dupField]} 이(가) 중복되었습니다.` }); return; }
+        seen.add(key);
+        seenUnique.forEach((set, f) => { if (r.value[f]) set.add(r.value[f]); });
+        value.push(r.value);
+    });
+    if (errors.length > 0) return { error: errors[0].message, errors };
+    return { value };
+}
+
+// 비교용: 시스템 필드 제외 후 키 정렬 JSON
+function comparable(record) {
+    const r = stripSystemFields(record);
+    return JSON.stringify(Object.keys(r).sort().reduce((o, k) => { o[k] = r[k]; return o; }, {}));
+}
+
+/**
+ * 두 스냅샷 비교 → 추가/삭제/변경된 코드 목록
+ */
+function diffMasterRecords(type, before, after) {
+    const { key } = MASTER_TYPES[type];
+    const beforeMap = new Map(before.map(r => [String(r[key]), r]));
+    const afterMap = new Map(after.map(r => [String(r[key]), r]));
+    const added = [], removed = [], changed = [];
+    afterMap.forEach((r, k) => {
+        if (!beforeMap.has(k)) added.push(k);
+        else if (comparable(beforeMap.get(k)) !== comparable(r)) changed.push(k);
+    });
+    beforeMap.forEach((r, k) => { if (!afterMap.has(k)) removed.push(k); });
+    return { added, removed, changed };
+}
+
+module.exports = { MASTER_TYPES, stripSystemFields, validateMasterRecord, validateMasterImport, diffMasterRecords };
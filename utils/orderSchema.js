@@ -0,0 +1,189 @@
+// utils/orderSchema.js
+// 주문 입력(POST/PUT) 스키마 — 허용 필드 화이트리스트 + 타입/값 검증 + 금액 합계 검증
+// - 서버가 관리하는 필드(status, is_synced 등)는 조회 결과를 되보내도 되도록 무시 (저장하지 않음)
+// - 그 외 스키마에 없는 필드는 조용히 버리지 않고 400 으로 거부
+// - 오류는 필드별 한국어 메시지로 반환 → 프론트에서 해당 입력칸에 그대로 표시
+
+// 이카운트 거래유형 — 앱에서 쓰는 코드만 (출하 매핑은 '0003' 픽업 제외)
+const SALES_TYPES = {
+    '0001': '출고(택배)',
+    '0003': '출고(픽업)'
+};
+
+// type: string | int | id(문자/숫자) | phone | enum | items
+const ITEM_FIELDS = {
+    product_no:     { type: 'id',     label: '상품번호' },
+    product_name:   { type: 'string', label: '상품명', maxLength: 200 },          // 비면 주문의 product_name 사용
+    option_code:    { type: 'string', label: '옵션코드', maxLength: 50 },
+    option_name:    { type: 'string', label: '옵션명', maxLength: 200 },
+    item_code:      { type: 'string', label: '품목코드', maxLength: 50 },
+    original_price: { type: 'int',    label: '정가', min: 0, default: 0 },
+    price:          { type: 'int',    label: '판매가', min: 0, default: 0 },
+    quantity:       { type: 'int',    label: '수량', min: 1, default: 1 },
+    promo_type:     { type: 'string', label: '프로모션 구분', maxLength: 50, default: '' }
+};
+
+const ORDER_FIELDS = {
+    store_name:            { type: 'string', label: '매장명', required: true, maxLength: 100 },
+    store_code:            { type: 'string', label: '거래처코드', maxLength: 50 },
+    manager_name:          { type: 'string', label: '담당자', maxLength: 50 },
+    manager_code:          { type: 'string', label: '담당자코드', maxLength: 50 },
+    warehouse_code:        { type: 'string', label: '출하창고코드', maxLength: 50 },
+    warehouse_name:        { type: 'string', label: '출하창고', maxLength: 100 },
+    sales_type:            { type: 'enum',   label: '거래유형', values: Object.keys(SALES_TYPES) },
+    customer_name:         { type: 'string', label: '고객명', maxLength: 50 },     // 픽업/현장 주문은 비어 있을 수 있음
+    customer_phone:        { type: 'phone',  label: '연락처' },
+    customer_address:      { type: 'string', label: '주소', maxLength: 300 },
+    product_name:          { type: 'string', label: '상품명', maxLength: 200 },   // 단품 주문 (구버전 호환)
+    option_name:           { type: 'string', label: '옵션명', maxLength: 200 },
+    quantity:              { type: 'int',    label: '수량', min: 1 },               // 단품 주문 수량 (구버전 호환)
+    items:                 { type: 'items',  label: '주문 상품' },
+    total_amount:          { type: 'int',    label: '총 결제금액', required: true, min: 0 },
+    shipping_cost:         { type: 'int',    label: '배송비', min: 0, default: 0 },
+    total_discount_amount: { type: 'int',    label: '할인금액', min: 0, default: 0 },
+    applied_coupon_count:  { type: 'int',    label: '쿠폰 사용 수', min: 0, default: 0 },
+    client_order_id:       { type: 'string', label: '클라이언트 주문키', maxLength: 128 }
+};
+
+// 서버가 채우는 필드 — 클라이언트가 보내도 무시
+const SERVER_FIELDS = new Set([
+    '_id', 'order_no', 'status', 'is_synced', 'is_deleted', 'deleted_at', 'created_at', 'updated_at', 'synced_at',
+    'ecount_success', 'ecount_message', 'ecount_confirmed_at', 'ecount_failed_at', 'ecount_failure_reason',
+    'excel_batch_id', 'excel_downloaded_at', 'auto_requeued', 'failed_at', 'retry_count', 'retry_history', 'macro_miss_count',
+    'memo_count', 'match_info', 'shipments', 'ship_status_overall', 'days_since_shipped'
+]);
+
+const isEmpty = v => v === undefined || v === null || v === '';
+
+// 숫자 입력은 '12,000' 같은 문자열도 허용
+function toInt(v) {
+    const n = typeof v === 'string' ? Number(v.replace(/,/g, '').trim()) : v;
+    return typeof n === 'number' && Number.isInteger(n) ? n : null;
+}
+
+// 필드 1개 검증 → { value } | { error }
+function checkField(rule, raw) {
+    switch (rule.type) {
+        case 'string': {
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `${rule.label}은(는) 문자열이어야 합니다.` };
+            const v = String(raw).trim();
+            if (rule.maxLength && v.length > rule.maxLength) return { error: `${rule.label}은(는) ${rule.maxLength}자 이하로 입력해주세요.` };
+            return { value: v };
+        }
+        case 'id':
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `${rule.label} 형식이 올바르지 않습니다.` };
+            return { value: raw };
+        case 'int': {
+            const n = toInt(raw);
+            if (n === null) return { error: `${rule.label}은(는) 정수여야 합니다.` };
+            if (rule.min !== undefined && n < rule.min) return { error: `${rule.label}은(는) ${rule.min} 이상이어야 합니다.` };
+            return { value: n };
+        }
+        case 'phone': {
+            const v = String(raw).trim();
+            const digits = v.replace(/\D/g, '');
+            if (!/^[0-9\-\s]+$/.test(v) || digits.length < 9 || digits.length > 11) return { error: `${rule.label} 형식이 올바르지 않습니다. (숫자 9~11자리)` };
+            return { value: v };
+        }
+        case 'enum': {
+            const v = String(raw).trim();
+            if (!rule.values.includes(v)) return { error: `${rule.label} 값이 올바르지 않습니다. (${rule.values.join(', ')} 중 하나)` };
+            return { value: v };
+        }
+        default:
+            return { error: `${rule.label}: 알 수 없는 형식` };
+    }
+}
+
+function validateItems(rawItems, errors) {
+    if (!Array.isArray(rawItems)) {
+        errors.push({ field: 'items', message: '주문 상품은 배열이어야 합니다.' });
+        return undefined;
+    }
+    return rawItems.map((raw, i) => {
+        const item = {};
+        if (!raw || typeof raw !== 'object') {
+            errors.push({ field: `items[${i}]`, message: `${i + 1}번째 상품 정보가 올바르지 않습니다.` });
+            return item;
+        }
+        Object.entries(ITEM_FIELDS).forEach(([key, rule]) => {
+            if (isEmpty(raw[key])) {
+                if (rule.required) errors.push({ field: `items[${i}].${key}`, message: `${i + 1}번째 상품의 ${rule.label}을(를) 입력해주세요.` });
+                else if (rule.default !== undefined) item[key] = rule.default;
+                return;
+            }
+            const r = checkField(rule, raw[key]);
+            if (r.error) errors.push({ field: `items[${i}].${key}`, message: `${i + 1}번째 상품: ${r.error}` });
+            else item[key] = r.value;
+        });
+        return item;
+    });
+}
+
+/**
+ * 상품 합계 - 할인 + 배송비 = 총 결제금액 검증
+ * - 상품 목록이 없는 단품(구버전) 주문은 상품별 금액이 없어 검증 생략
+ * @returns {string|null} 오류 메시지
+ */
+function checkOrderTotal(order) {
+    if (!Array.isArray(order.items) || order.items.length === 0) return null;
+    const itemsTotal = order.items.reduce((sum, it) => sum + (Number(it.price) || 0) * (Number(it.quantity) || 1), 0);
+    const expected = itemsTotal - (Number(order.total_discount_amount) || 0) + (Number(order.shipping_cost) || 0);
+    const total = Number(order.total_amount) || 0;
+    if (expected === total) return null;
+    return `총 결제금액이 맞지 않습니다. (상품 합계 ${itemsTotal.toLocaleString('ko-KR')}원 - 할인 ${(Number(order.total_discount_amount) || 0).toLocaleString('ko-KR')}원 + 배송비 ${(Number(order.shipping_cost) || 0).toLocaleString('ko-KR')}원 = ${expected.toLocaleString('ko-KR')}원, 입력 ${total.toLocaleString('ko-KR')}원)`;
+}
+
+/**
+ * 주문 입력 검증
+ * @param {object} body - 요청 본문
+ * @param {object} options - { partial: true 면 수정(PUT) — 들어온 필드만 검증, 기본값 채우지 않음 }
+ * @returns {object} { value } | { error, errors: [{ field, message }] }
+ */
+function validateOrderPayload(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: '주문 정보가 올바르지 않습니다.', errors: [{ field: '', message: '주문 정보가 올바르지 않습니다.' }] };
+    }
+    const errors = [];
+    const value = {};
+
+    Object.keys(body)
+        .filter(key => !ORDER_FIELDS[key] && !SERVER_FIELDS.has(key))
+        .forEach(key => errors.push({ field: key, message: `저장할 수 없는 항목입니다. (${key})` }));
+
+    Object.entries(ORDER_FIELDS).forEach(([key, rule]) => {
+        const raw = body[key];
+        if (isEmpty(raw)) {
+            if (partial) {
+                // 수정 시 빈 값은 선택 필드만 비우기 허용
+                if (raw !== undefined && !rule.required && rule.type !== 'items') value[key] = rule.type === 'int' ? 0 : '';
+                else if (raw !== undefined && rule.required) errors.push({ field: key, message: `${rule.label}을(를) 입력해주세요.` });
+                return;
+            }
+            if (rule.required) errors.push({ field: key, message: `${rule.label}을(를) 입력해주세요.` });
+            else if (rule.default !== undefined) value[key] = rule.default;
+            return;
+        }
+        if (rule.type === 'items') {
+            const items = validateItems(raw, errors);
+            if (items) value.items = items;
+            return;
+        }
+        const r = checkField(rule, raw);
+        if (r.error) errors.push({ field: key, message: r.error });
+        else value[key] = r.value;
+    });
+
+    if (!partial && errors.length === 0) {
+        if ((!value.items || value.items.length === 0) && !value.product_name) {
+            errors.push({ field: 'items', message: '주문 상품을 1개 이상 입력해주세요.' });
+        }
+        const totalError = checkOrderTotal(value);
+        if (totalError) errors.push({ field: 'total_amount', message: totalError });
+    }
+
+    if (errors.length > 0) return { error: errors[0].message, errors };
+    return { value };
+}
+
+module.exports = { SALES_TYPES, ORDER_FIELDS, ITEM_FIELDS, validateOrderPayload, checkOrderTotal };
@@ -0,0 +1,209 @@
+// utils/orderStateMachine.js
+// 주문 상태 머신 — 허용 전이(엣지) 정의 + 전이별 표준 필드 초기화 + 전이 이력 기록
+// 주문 status 를 바꾸는 모든 API 는 이 모듈의 applyOrderTransition 을 통해서만 상태를 변경한다.
+
+const ORDER_STATUS = {
+    PENDING:   'PENDING',    // 신규 주문 (미전송)
+    EXPORTED:  'EXPORTED',   // 엑셀 다운로드됨, 이카운트 결과 미확인 (확정 대기)
+    CONFIRMED: 'CONFIRMED',  // 이카운트 등록 확정 (전송완료)
+    FAILED:    'FAILED'      // 이카운트 거절됨 (등록 실패)
+};
+
+const { PENDING, EXPORTED, CONFIRMED, FAILED } = ORDER_STATUS;
+
+// 허용 전이표: [from, to, 허용 경로(route)]
+//   - from null = 신규 생성
+//   - 여기 없는 (from, to, route) 조합은 모두 불법 전이 → 409
+//   - restore(휴지통 복구)는 삭제된(is_deleted) 주문만 — 살아 있는 등록완료 주문을 미전송으로 되돌려 이중 등록되는 것 방지
+const TRANSITION_TABLE = [
+    [null,      PENDING,   ['create']],
+    [PENDING,   EXPORTED,  ['mark-exported']],
+    [PENDING,   CONFIRMED, ['sync', 'sync-by-content']],          // 매크로 직접 결과 보고 (구버전 호환)
+    [PENDING,   FAILED,    ['sync', 'sync-by-content']],
+    [EXPORTED,  CONFIRMED, ['confirm-batch', 'confirm-selected', 'sync', 'sync-by-content', 'ecount-api']],
+    [EXPORTED,  FAILED,    ['mark-failed', 'sync', 'sync-by-content', 'ecount-api']],
+    [EXPORTED,  PENDING,   ['force-pending', 'auto-requeue', 'macro-requeue', 'restore']],
+    [FAILED,    PENDING,   ['requeue', 'restore']],
+    [CONFIRMED, PENDING,   ['restore']],                          // 등록완료 → 미전송은 삭제된 주문의 휴지통 복구로만
+    [PENDING,   PENDING,   ['restore']]
+];
+
+const TRANSITIONS = new Map();
+TRANSITION_TABLE.forEach(([from, to, routes]) => {
+    TRANSITIONS.set(`${from}>${to}`, new Set(routes));
+});
+
+// 상태 머신이 관리하는 필드 — 일반 수정(PUT)으로는 변경 불가
+const STATE_MACHINE_FIELDS = [
+    'status', 'is_synced', 'synced_at', 'ecount_success', 'ecount_status', 'ecount_message',
+    'ecount_confirmed_at', 'ecount_failed_at', 'ecount_failure_reason',
+    'excel_batch_id', 'excel_downloaded_at', 'macro_miss_count',
+    'auto_requeued', 'auto_requeued_at', 'auto_requeue_count',
+    'retry_count', 'retry_history', 'is_deleted', 'deleted_at'
+];
+
+// status 필드가 없는 옛 주문은 is_synced 로 판정
+function getOrderStatus(order) {
+    if (!order) return null;
+    if (order.status) return order.status;
+    return order.is_synced ? CONFIRMED : PENDING;
+}
+
+// order 를 넘기면 경로별 추가 조건도 확인 (restore = 삭제된 주문만)
+function isTransitionAllowed(from, to, route, order = null) {
+    const routes = TRANSITIONS.get(`${from}>${to}`);
+    if (!routes || !routes.has(route)) return false;
+    if (route === 'restore' && order && order.is_deleted !== true) return false;
+    return true;
+}
+
+// 동시 변경 방지: 조회 시점 상태 그대로일 때만 업데이트 (restore 는 그 사이 복구/삭제 취소된 건 제외)
+function statusGuard(order, route) {
+    const guard = order.status
+        ? { status: order.status }
+        : { status: { $exists: false }, is_synced: order.is_synced ? true : { $ne: true } };
+    if (route === 'restore') guard.is_deleted = true;
+    return guard;
+}
+
+/**
+ * 전이별 표준 업데이트 생성
+ * @param {object} ctx - { now, batchId, reason, message, extraSet }
+ */
+function buildTransitionUpdate(order, to, route, ctx = {}) {
+    const now = ctx.now || new Date();
+    const update = { $set: { status: to } };
+
+    if (to === EXPORTED) {
+        Object.assign(update.$set, {
+            excel_batch_id: ctx.batchId,
+            excel_downloaded_at: now,
+            macro_miss_count: 0
+        });
+    } else if (to === CONFIRMED) {
+        Object.assign(update.$set, {
+            is_synced: true,
+            synced_at: now,
+            ecount_success: true,
+            ecount_message: ctx.message || '',
+            ecount_confirmed_at: now
+        });
+    } else if (to === FAILED) {
+        const reason = ctx.reason || ctx.message || '이카운트 등록 실패';
+        Object.assign(update.$set, {
+            is_synced: true,
+            synced_at: now,
+            ecount_success: false,
+            ecount_message: ctx.message || reason,
+            ecount_failed_at: now,
+            ecount_failure_reason: reason
+        });
+        update.$inc = { retry_count: 1 };
+        update.$push = { retry_history: { batch_id: order.excel_batch_id || null, failed_at: now, reason } };
+    } else if (to === PENDING) {
+        Object.assign(update.$set, {
+            is_synced: false,
+            synced_at: null,
+            ecount_success: null,
+            ecount_status: null,
+            ecount_message: null,
+            ecount_confirmed_at: null,
+            ecount_failed_at: null,
+            excel_batch_id: null,
+            excel_downloaded_at: null,
+            macro_miss_count: 0,
+            auto_requeued: false
+        });
+        if (route === 'auto-requeue' || route === 'macro-requeue') {
+            // 자동 복구는 1회만 (auto_requeued 플래그로 무한 루프 방지)
+            update.$set.auto_requeued = true;
+            update.$set.auto_requeued_at = now;
+            update.$inc = { auto_requeue_count: 1 };
+        }
+        if (route === 'restore') {
+            update.$unset = { is_deleted: '', deleted_at: '' };
+        }
+    }
+
+    if (ctx.extraSet) Object.assign(update.$set, ctx.extraSet);
+    return update;
+}
+
+/**
+ * 상태 전이 이력 기록 (orderEvents)
+ * - 이력 기록 실패가 본 처리(상태 변경)를 막지 않도록 오류는 로그만 남김
+ */
+async function recordOrderEvents(eventsCollection, orders, toStatus, meta = {}) {
+    if (!eventsCollection || !Array.isArray(orders) || orders.length === 0) return;
+    try {
+        const now = new Date();
+        const docs = orders.map(o => ({
+            order_id: String(o._id),
+            from_status: o.status === undefined ? getOrderStatus(o) : (o.status || null),
+            to_status: toStatus,
+            actor: meta.actor || 'system',
+            route: meta.route || null,
+            batch_id: meta.batchId !== undefined ? meta.batchId : (o.excel_batch_id || null),
+            reason: meta.reason || null,
+            created_at: now
+        }));
+        await eventsCollection.insertMany(docs, { ordered: false });
+    } catch (e) {
+        console.error("⚠️ 주문 이력 기록 오류:", e.message);
+    }
+}
+
+/**
+ * 상태 전이 적용
+ * @param {object} collections - { orders, events } MongoDB 컬렉션
+ * @param {object} params
+ *   - filter: 대상 주문 조회 조건 (상태 조건을 빼면 불법 전이도 감지됨)
+ *   - to, route, actor, batchId, reason, message, extraSet
+ *   - onIllegal: 'reject'(기본, 하나라도 불법이면 아무것도 바꾸지 않고 error 반환) | 'skip'(불법 건만 제외)
+ * @returns {object} { modifiedCount, applied, rejected, error? }
+ */
+async function applyOrderTransition(collections, params) {
+    const { filter, to, route, actor, batchId, reason, message, extraSet, onIllegal = 'reject' } = params;
+    const targets = await collections.orders.find(filter)
+        .project({ _id: 1, status: 1, is_synced: 1, excel_batch_id: 1, store_name: 1, is_deleted: 1 })
+        .toArray();
+
+    const legal = [];
+    const rejected = [];
+    targets.forEach(o => {
+        const from = getOrderStatus(o);
+        if (isTransitionAllowed(from, to, route, o)) legal.push(o);
+        else rejected.push({ id: String(o._id), status: from });
+    });
+
+    if (rejected.length > 0 && onIllegal === 'reject') {
+        return {
+            error: `허용되지 않는 상태 전이입니다. (${rejected.map(r => r.status).filter((v, i, a) => a.indexOf(v) === i).join(', ')} → ${to}, ${route})`,
+            modifiedCount: 0,
+            applied: [],
+            rejected
+        };
+    }
+
+    const now = new Date();
+    const results = await Promise.all(legal.map(o => collections.orders.updateOne(
+        { _id: o._id, ...statusGuard(o, route) },
+        buildTransitionUpdate(o, to, route, { now, batchId, reason, message, extraSet })
+    )));
+    const applied = legal.filter((o, i) => results[i].modifiedCount === 1);
+
+    await recordOrderEvents(collections.events, applied, to, { actor, route, batchId, reason: reason || message || null });
+
+    return { modifiedCount: applied.length, applied, rejected };
+}
+
+module.exports = {
+    ORDER_STATUS,
+    TRANSITION_TABLE,
+    STATE_MACHINE_FIELDS,
+    getOrderStatus,
+    isTransitionAllowed,
+    buildTransitionUpdate,
+    recordOrderEvents,
+    applyOrderTransition
+};
@@ -0,0 +1,38 @@
+// utils/passwordHash.js
+// 매장 비밀번호 / 통합 PIN 해시 (Node 내장 scrypt)
+// 저장 형식: scrypt$N$r$p$<salt base64>$<hash base64> — 파라미터를 함께 저장해 나중에 강도를 올려도 기존 해시 검증 가능
+const crypto = require("crypto");
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const PREFIX = 'scrypt$';
+
+function scrypt(password, salt, params) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(String(password), salt, KEY_LENGTH, { ...params, maxmem: 64 * 1024 * 1024 }, (err, key) => {
+            if (err) reject(err);
+            else resolve(key);
+        });
+    });
+}
+
+function isHashed(stored) {
+    return typeof stored === 'string' && stored.startsWith(PREFIX);
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return `${PREFIX}${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+    if (!isHashed(stored) || password === undefined || password === null) return false;
+    const [, N, r, p, saltB64, hashB64] = stored.split('$');
+    const expected = Buffer.from(hashB64, 'base64');
+    const key = await scrypt(password, Buffer.from(saltB64, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+module.exports = { hashPassword, verifyPassword, isHashed };
@@ -0,0 +1,159 @@
+// utils/permissions.js
+// 역할(role) · 권한(permission) · 라우트 → 권한 매핑표
+// - 표에 없는 라우트는 공개 (조회/카페24 프록시 등)
+// - 표에 있는 라우트는 전역 가드(index.js permissionGuard)가 세션 토큰 + 역할을 검사
+//   (각 라우트에도 같은 권한의 requirePermission 이 붙어 있음 — 표를 고치면 라우트도 같이)
+// - Express 라우팅은 대소문자를 구분하지 않으므로 경로 비교도 대소문자 무시
+// - 위에서부터 처음 일치하는 항목 하나만 적용되므로 구체적인 경로를 먼저 적는다
+
+const ROLES = {
+    STORE_STAFF:   'STORE_STAFF',     // 매장 직원 — 자기 매장 주문 등록/수정
+    STORE_MANAGER: 'STORE_MANAGER',   // 매장 매니저 — + 삭제/복구/상태 되돌리기, 근무 입력
+    HQ_OPERATIONS: 'HQ_OPERATIONS',   // 본사 운영 — 전 매장, 배치/매크로/마스터/통합 PIN
+    HR_ADMIN:      'HR_ADMIN',        // 인사 — 근무·시차 조정, 담당자 프로필
+    MACRO_SERVICE: 'MACRO_SERVICE'    // 이카운트 매크로 — 서비스 키(X-Api-Key) 인증, 매크로 결과 반영만
+};
+
+const { STORE_STAFF, STORE_MANAGER, HQ_OPERATIONS, HR_ADMIN, MACRO_SERVICE } = ROLES;
+
+// 매장에 묶이는 역할 (세션의 store_name 으로 자기 매장만 접근)
+const STORE_BOUND_ROLES = [STORE_STAFF, STORE_MANAGER];
+
+const PERMISSIONS = {
+    'order:create':         [STORE_STAFF, STORE_MANAGER, HQ_OPERATIONS],
+    'order:update':         [STORE_STAFF, STORE_MANAGER, HQ_OPERATIONS],
+    'order:memo':           [STORE_STAFF, STORE_MANAGER, HQ_OPERATIONS],
+    'order:delete':         [STORE_MANAGER, HQ_OPERATIONS],
+    'order:hard-delete':    [HQ_OPERATIONS],
+    'order:restore':        [STORE_MANAGER, HQ_OPERATIONS],
+    'order:transition':     [STORE_MANAGER, HQ_OPERATIONS],   // 선택 주문 확정/실패/재전송/강제 미전송
+    'order:batch':          [HQ_OPERATIONS],                  // 엑셀 배치, 이카운트 전송, 자동 복구
+    'order:macro':          [HQ_OPERATIONS, MACRO_SERVICE],   // 매크로 결과 반영 (sync / sync-by-content / mark-exported)
+    'master:write':         [HQ_OPERATIONS],
+    'master:managers':      [HQ_OPERATIONS, HR_ADMIN],       // 담당자 프로필 (직급/입사일/기준시간/연차)
+    'delivery:write':       [HQ_OPERATIONS],
+    'coupon-map:write':     [HQ_OPERATIONS],
+    'auth:global-pin':      [HQ_OPERATIONS],
+    'auth:hr-pin':          [HQ_OPERATIONS, HR_ADMIN],
+    'auth:store-password':  [STORE_MANAGER, HQ_OPERATIONS],
+    'auth:credentials':     [HQ_OPERATIONS],
+    'work-hours:write':     [STORE_MANAGER, HQ_OPERATIONS, HR_ADMIN],
+    'work-hours:flex':      [HR_ADMIN],
+    'work-hours:request':   [STORE_STAFF, STORE_MANAGER, HQ_OPERATIONS, HR_ADMIN],   // 시차사용/연차 신청
+    'work-hours:approve':   [HQ_OPERATIONS, HR_ADMIN],                              // 신청 승인/반려 + 시차사용/연차 직접 입력
+    'work-hours:plan':      [STORE_MANAGER, HQ_OPERATIONS, HR_ADMIN],               // 근무 계획표
+    'work-hours:punch':     [STORE_STAFF, STORE_MANAGER],                           // 매장 태블릿 출퇴근
+    'work-hours:admin':     [HR_ADMIN],                                             // 정책 / 시차 마감 / 급여 마감 잠금 해제
+    'work-hours:lock':      [HQ_OPERATIONS, HR_ADMIN],                              // 급여 마감 잠금
+    'work-hours:export':    [HQ_OPERATIONS, HR_ADMIN]         // 월간 근무표 (급여 전달용)
+};
+
+const isHardDelete = req => req.query && req.query.type === 'hard';
+
+// [method, path, permission, when?]
+const ROUTE_PERMISSIONS = [
+    ['PUT',    '/api/auth/global-pin',                          'auth:global-pin'],
+    ['PUT',    '/api/auth/hr-pin',                              'auth:hr-pin'],
+    ['POST',   '/api/auth/store/password',                      'auth:store-password'],
+    ['GET',    '/api/auth/store/credentials',                   'auth:credentials'],
+
+    ['POST',   '/api/coupon-map',                               'coupon-map:write'],
+    ['DELETE', '/api/coupon-map/:couponNo',                     'coupon-map:write'],
+
+    ['POST',   '/api/ordersOffData',                            'order:create'],
+    ['PUT',    '/api/ordersOffData/restore/:id',                'order:restore'],
+    ['PUT',    '/api/ordersOffData/:id',                        'order:update'],
+    ['DELETE', '/api/ordersOffData/:id',                        'order:hard-delete', isHardDelete],
+    ['DELETE', '/api/ordersOffData/:id',                        'order:delete'],
+    ['PATCH',  '/api/ordersOffData/:id/memo',                   'order:memo'],
+    ['POST',   '/api/ordersOffData/sync',                       'order:macro'],
+    ['POST',   '/api/ordersOffData/sync-by-content',            'order:macro'],
+    ['POST',   '/api/ordersOffData/mark-exported',              'order:macro'],
+    ['POST',   '/api/ordersOffData/confirm-batch',              'order:batch'],
+    ['GET',    '/api/ordersOffData/batches/:batchId/excel',     'order:batch'],
+    ['POST',   '/api/ordersOffData/batches/:batchId/ecount-submit', 'order:batch'],
+    ['POST',   '/api/ordersOffData/auto-requeue',               'order:batch'],
+    ['POST',   '/api/ordersOffData/confirm-selected',           'order:transition'],
+    ['POST',   '/api/ordersOffData/mark-failed',                'order:transition'],
+    ['POST',   '/api/ordersOffData/requeue',                    'order:transition'],
+    ['POST',   '/api/ordersOffData/force-pending',              'order:transition'],
+
+    ['POST',   '/api/cs-memos',                                 'order:memo'],
+    ['DELETE', '/api/cs-memos/:id',                             'order:memo'],
+
+    ['PUT',    '/api/ecount-stores',                            'master:write'],
+    ['PUT',    '/api/static-managers',                          'master:managers'],
+    ['POST',   '/api/master/managers/import',                   'master:managers'],
+    ['POST',   '/api/master/managers/versions/:version/rollback', 'master:managers'],
+    ['POST',   '/api/master/managers',                          'master:managers'],
+    ['PUT',    '/api/master/managers/:key',                     'master:managers'],
+    ['DELETE', '/api/master/managers/:key',                     'master:managers'],
+    ['PUT',    '/api/ecount-warehouses',                        'master:write'],
+    ['POST',   '/api/master/:type/import',                      'master:write'],
+    ['POST',   '/api/master/:type/versions/:version/rollback',  'master:write'],
+    ['POST',   '/api/master/:type',                             'master:write'],
+    ['PUT',    '/api/master/:type/:key',                        'master:write'],
+    ['DELETE', '/api/master/:type/:key',                        'master:write'],
+
+    ['POST',   '/api/deliveries/bulk-upload',                   'delivery:write'],
+    ['POST',   '/api/deliveries/verify',                        'delivery:write'],
+    ['DELETE', '/api/deliveries/clear',                         'delivery:write'],
+
+    ['POST',   '/api/work-hours/flex-adjustment',               'work-hours:flex'],
+    ['DELETE', '/api/work-hours/flex-adjustment/:id',           'work-hours:flex'],
+    ['POST',   '/api/work-hours/migrate-half-leave',            'work-hours:admin'],
+    ['PUT',    '/api/work-hours/policy',                        'work-hours:admin'],
+    ['POST',   '/api/work-hours/flex-close',                    'work-hours:admin'],
+    ['POST',   '/api/work-hours/lock',                          'work-hours:lock'],
+    ['POST',   '/api/work-hours/unlock',                        'work-hours:admin'],
+    ['GET',    '/api/work-hours/timesheet/export',              'work-hours:export'],
+    ['POST',   '/api/work-hours/break-adjustment',              'work-hours:write'],
+    ['DELETE', '/api/work-hours/break-adjustment/:id',          'work-hours:write'],
+    ['POST',   '/api/work-hours/requests/:id/approve',          'work-hours:approve'],
+    ['POST',   '/api/work-hours/requests/:id/reject',           'work-hours:approve'],
+    ['POST',   '/api/work-hours/requests/:id/cancel',           'work-hours:request'],
+    ['POST',   '/api/work-hours/requests',                      'work-hours:request'],
+    ['GET',    '/api/work-hours/requests/:id',                  'work-hours:request'],
+    ['GET',    '/api/work-hours/requests',                      'work-hours:request'],
+    ['GET',    '/api/work-hours/punches',                       'work-hours:request'],
+    ['POST',   '/api/work-hours/punch-in',                      'work-hours:punch'],
+    ['POST',   '/api/work-hours/punch-out',                     'work-hours:punch'],
+    ['POST',   '/api/work-hours/punch-corrections/:id/approve', 'work-hours:approve'],
+    ['POST',   '/api/work-hours/punch-corrections/:id/reject',  'work-hours:approve'],
+    ['POST',   '/api/work-hours/punch-corrections',             'work-hours:request'],
+    ['GET',    '/api/work-hours/punch-corrections',             'work-hours:request'],
+    ['PUT',    '/api/work-hours/plans',                         'work-hours:plan'],
+    ['DELETE', '/api/work-hours/plans/:id',                     'work-hours:plan'],
+    ['POST',   '/api/work-hours/plans/copy-week',               'work-hours:plan'],
+    ['POST',   '/api/work-hours/bulk',                          'work-hours:write'],
+    ['POST',   '/api/work-hours',                               'work-hours:write'],
+    ['DELETE', '/api/work-hours/:id',                           'work-hours:write']
+];
+
+// '/api/x/:id' → /^\/api\/x\/[^/]+\/?$/i
+function toRegex(pattern) {
+    const escaped = pattern.split('/').map(seg => seg.startsWith(':') ? '[^/]+' : seg.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('/');
+    return new RegExp(`^${escaped}/?$`, 'i');
+}
+
+const COMPILED = ROUTE_PERMISSIONS.map(([method, path, permission, when]) => ({ method, path, permission, when, re: toRegex(path) }));
+
+/**
+ * 요청에 필요한 권한 조회
+ * @returns {string|null} 권한 이름 (null = 공개 라우트)
+ */
+function findRoutePermission(req) {
+    const hit = COMPILED.find(r => r.method === req.method && r.re.test(req.path) && (!r.when || r.when(req)));
+    return hit ? hit.permission : null;
+}
+
+function hasPermission(role, permission) {
+    const roles = PERMISSIONS[permission];
+    return !!roles && roles.includes(role);
+}
+
+function isStoreBoundRole(role) {
+    return STORE_BOUND_ROLES.includes(role);
+}
+
+module.exports = { ROLES, PERMISSIONS, ROUTE_PERMISSIONS, findRoutePermission, hasPermission, isStoreBoundRole, isHardDelete };
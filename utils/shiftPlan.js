@@ -0,0 +1,117 @@
+// utils/shiftPlan.js
+// 근무 계획표(shiftPlans) — 매장 × 일자 × 담당자 예정 근무 (실제 출퇴근 기록 workHours 와 분리)
+// - 계획은 시차 잔액에 영향 없음, 실제 근무는 workHours 에만 기록
+// - 계획 대비 실제 차이(결근 / 미계획 근무 / 지각 / 조퇴 / 시간 차이) 계산
+// - 저장/조회는 index.js [7-3-3] 에서 처리, 여기는 순수 함수만
+const { addDays, weekStartOf } = require('./workCompliance');
+
+const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// 계획 대비 판정
+const VARIANCE_STATUS = {
+    OK:          'OK',
+    NO_SHOW:     'NO_SHOW',       // 계획 있음 + 지난 날짜인데 실제 근무 없음
+    UNPLANNED:   'UNPLANNED',     // 계획 없이 근무
+    LATE:        'LATE',          // 계획 시작 + 허용분 이후 출근
+    EARLY_LEAVE: 'EARLY_LEAVE',   // 계획 종료 - 허용분 이전 퇴근
+    UPCOMING:    'UPCOMING'       // 아직 오지 않은 날짜
+};
+
+const toMin = s => { const [h, m] = s.split(':').map(Number); return h * 60 + m; };
+const round2 = v => Math.round((v || 0) * 100) / 100;
+
+/**
+ * 계획 1건 검증
+ * @returns {object} { value } | { error }
+ */
+function validateShiftPlan(input) {
+    if (!input || typeof input !== 'object') return { error: '근무 계획 정보가 올바르지 않습니다.' };
+    const { manager_id, work_date, shift_start, shift_end, note } = input;
+    if (!manager_id) return { error: 'manager_id 필수' };
+    if (!work_date || !DATE_RE.test(work_date)) return { error: 'work_date(YYYY-MM-DD) 필수' };
+    if (!HHMM_RE.test(shift_start || '') || !HHMM_RE.test(shift_end || '')) return { error: `${work_date}: 근무 시작/종료(shift_start/shift_end)는 HH:MM 형식이어야 합니다.` };
+    return {
+        value: {
+            manager_id: String(manager_id),
+            work_date,
+            shift_start,
+            shift_end,
+            note: String(note || '').trim()
+        }
+    };
+}
+
+// 계획 체류 시간 (자정 넘김 포함, 휴게 차감 전)
+function planGrossHours(shiftStart, shiftEnd) {
+    let diff = toMin(shiftEnd) - toMin(shiftStart);
+    if (diff <= 0) diff += 24 * 60;
+    return round2(diff / 60);
+}
+
+/**
+ * 지난주 → 이번주 복사용 날짜 매핑
+ * @returns {Array} [[fromDate, toDate] x 7]
+ */
+function mapWeekDates(fromWeekStart, toWeekStart) {
+    const from = weekStartOf(fromWeekStart);
+    const to = weekStartOf(toWeekStart);
+    return Array.from({ length: 7 }, (_, i) => [addDays(from, i), addDays(to, i)]);
+}
+
+/**
+ * 계획 대비 실제
+ * @param {Array} plans - shiftPlans
+ * @param {Array} entries - workHours (WORK 기록만 사용)
+ * @param {object} options - { today: 'YYYY-MM-DD', graceMinutes }
+ * @returns {Array} [{ manager_id, work_date, planned_*, actual_*, diff_hours, status: [] }]
+ */
+function computeShiftVariance(plans, entries, { today, graceMinutes = 10 } = {}) {
+    const rows = new Map();
+    const keyOf = (managerId, date) => `${managerId}|${date}`;
+    const rowFor = (src) => {
+        const k = keyOf(src.manager_id, src.work_date);
+        if (!rows.has(k)) {
+            rows.set(k, {
+                manager_id: src.manager_id, manager_name: src.manager_name || '', store_name: src.store_name || '', work_date: src.work_date,
+                planned_start: null, planned_end: null, planned_hours: 0,
+                actual_start: null, actual_end: null, actual_hours: 0
+            });
+        }
+        return rows.get(k);
+    };
+
+    plans.forEach(p => {
+        const row = rowFor(p);
+        row.planned_start = p.shift_start;
+        row.planned_end = p.shift_end;
+        row.planned_hours = Number(p.planned_hours || 0);
+        row.plan_id = p._id;
+    });
+    entries.forEach(e => {
+        const cats = Array.isArray(e.categories) ? e.categories : (e.category ? [e.category] : []);
+        if (!cats.includes('WORK') || !e.clock_in || !e.clock_out) return;
+        const row = rowFor(e);
+        if (!row.actual_start || e.clock_in < row.actual_start) row.actual_start = e.clock_in;
+        if (!row.actual_end || e.clock_out > row.actual_end) row.actual_end = e.clock_out;
+        row.actual_hours += Number(e.work_hours || 0);
+        if (!row.manager_name) row.manager_name = e.manager_name || '';
+    });
+
+    return [...rows.values()].map(row => {
+        const status = [];
+        const planned = !!row.planned_start;
+        const worked = !!row.actual_start;
+        if (planned && !worked) status.push(row.work_date >= today ? VARIANCE_STATUS.UPCOMING : VARIANCE_STATUS.NO_SHOW);
+        if (!planned && worked) status.push(VARIANCE_STATUS.UNPLANNED);
+        if (planned && worked) {
+            if (toMin(row.actual_start) > toMin(row.planned_start) + graceMinutes) status.push(VARIANCE_STATUS.LATE);
+            // 자정 넘김 계획은 퇴근 비교 생략
+            if (row.planned_end > row.planned_start && toMin(row.actual_end) < toMin(row.planned_end) - graceMinutes) status.push(VARIANCE_STATUS.EARLY_LEAVE);
+            if (status.length === 0) status.push(VARIANCE_STATUS.OK);
+        }
+        return { ...row, actual_hours: round2(row.actual_hours), diff_hours: round2(row.actual_hours - row.planned_hours), status };
+    }).sort((a, b) => a.work_date.localeCompare(b.work_date) || a.manager_name.localeCompare(b.manager_name, 'ko'));
+}
+
+module.exports = { VARIANCE_STATUS, validateShiftPlan, planGrossHours, mapWeekDates, computeShiftVariance };
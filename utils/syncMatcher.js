@@ -0,0 +1,76 @@
+// utils/syncMatcher.js
+// 매크로 결과(sync-by-content) ↔ 주문 매칭
+// 1) 적요에 심어둔 주문 참조키([주문번호] 또는 [OID:...])가 있으면 그것으로만 매칭
+// 2) 없으면 금액이 같은 후보 중 결과에 온 필드가 모두 일치하는 주문이 정확히 1건일 때만 매칭
+//    (0건 / 여러 건이면 업데이트하지 않고 보고)
+const { toKSTDateCode, ORDER_REF_RE } = require('./ecountSheet');
+
+const norm = s => String(s || '').replace(/\s+/g, '').trim();
+const digits = s => String(s || '').replace(/\D/g, '');
+
+// 매크로 결과에서 주문 참조키 추출 (order_ref 직접 지정 또는 적요 원문)
+// @returns {{ field: '_id'|'order_no', value: string } | null}
+function extractOrderRef(matchKey = {}) {
+    const src = `${matchKey.order_ref || ''} ${matchKey.remarks || ''}`;
+    const m = src.match(ORDER_REF_RE);
+    if (m) return m[1] ? { field: '_id', value: m[1] } : { field: 'order_no', value: m[2] };
+    const raw = String(matchKey.order_ref || '').trim();
+    if (/^[0-9a-fA-F]{24}$/.test(raw)) return { field: '_id', value: raw };
+    if (/^[A-Z0-9]+-\d{8}-\d{4}$/.test(raw)) return { field: 'order_no', value: raw };
+    return null;
+}
+
+function parseAmount(v) {
+    if (typeof v === 'string') return Number(v.replace(/,/g, ''));
+    return Number(v);
+}
+
+/**
+ * 후보 주문이 결과 행과 일치하는지 확인
+ * - 결과에 값이 있는 필드만 비교, 하나라도 다르면 탈락(null)
+ * - 고객명은 필수 (결과에 고객명이 없으면 후보로 인정하지 않음)
+ * @returns {{ fields: string[] } | null} fields = 일치 확인한 필드
+ */
+function matchOrderFields(matchKey, order) {
+    const fields = [];
+
+    if (!matchKey.customer_name || norm(matchKey.customer_name) !== norm(order.customer_name)) return null;
+    fields.push('customer_name');
+    if (matchKey.customer_phone) {
+        const a = digits(matchKey.customer_phone), b = digits(order.customer_phone);
+        // 끝 4자리만 오는 경우도 허용
+        if (!a || !b || !(a === b || (a.length >= 4 && b.endsWith(a)))) return null;
+        fields.push('customer_phone');
+    }
+    if (matchKey.store_name) {
+        if (norm(matchKey.store_name) !== norm(order.store_name)) return null;
+        fields.push('store_name');
+    }
+    if (Array.isArray(matchKey.items) && matchKey.items.length > 0) {
+        const orderNames = new Set((order.items || []).map(it => norm(it.product_name)));
+        if (!matchKey.items.every(n => orderNames.has(norm(n)))) return null;
+        fields.push('items');
+    }
+    if (matchKey.io_date) {
+        if (digits(matchKey.io_date) !== toKSTDateCode(order.created_at)) return null;
+        fields.push('io_date');
+    }
+    return { fields };
+}
+
+/**
+ * @param {object} matchKey - 매크로 결과 행의 매칭 정보
+ * @param {Array} candidates - 금액이 같은 미확정 주문들
+ * @returns {object} { status: 'MATCHED'|'AMBIGUOUS'|'UNMATCHED', order?, fields?, candidates? }
+ */
+function pickUniqueMatch(matchKey, candidates) {
+    const hits = candidates
+        .map(order => ({ order, result: matchOrderFields(matchKey, order) }))
+        .filter(c => c.result);
+
+    if (hits.length === 0) return { status: 'UNMATCHED' };
+    if (hits.length > 1) return { status: 'AMBIGUOUS', candidates: hits.map(c => String(c.order._id)) };
+    return { status: 'MATCHED', order: hits[0].order, fields: hits[0].result.fields };
+}
+
+module.exports = { extractOrderRef, parseAmount, matchOrderFields, pickUniqueMatch };
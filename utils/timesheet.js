@@ -0,0 +1,236 @@
+// utils/timesheet.js
+// 월간 근무표(급여 전달용) — 담당자 × 일자 행 생성 + 엑셀(xlsx) 렌더링
+// - 같은 날 여러 기록은 하루 1행으로 합산 (출근 = 가장 이른 WORK, 퇴근 = 가장 늦은 WORK)
+// - 야간(22~06시) / 공휴일 근무시간은 기록에 저장된 값(recomputeDailyFlex, 일급제 제외) 사용 — 옛 기록은 출퇴근 시간으로 계산
+// - 조회/잔액 집계는 index.js [7-3] 에서 처리, 여기는 순수 함수만
+const ExcelJS = require("exceljs");
+
+const NIGHT_START_MIN = 22 * 60;
+const NIGHT_END_MIN = 6 * 60;
+
+const CATEGORY_LABELS = {
+    WORK: '근무',
+    FLEX_USE: '시차사용',
+    WEEKLY_OFF: '주휴',
+    SUBSTITUTE_OFF: '대휴',
+    ANNUAL_LEAVE: '연차',
+    LEAVE: '휴가',
+    HOLIDAY: '휴일',
+    FLEX_ADJUSTMENT: '시차조정'
+};
+
+const LEAVE_TYPE_LABELS = { FULL: '종일', HALF_AM: '오전반차', HALF_PM: '오후반차' };
+
+const DAILY_COLUMNS = [
+    { header: '담당자코드', key: 'manager_id',     width: 12 },
+    { header: '담당자',     key: 'manager_name',   width: 16 },
+    { header: '매장',       key: 'store_name',     width: 16 },
+    { header: '일자',       key: 'work_date',      width: 12 },
+    { header: '요일',       key: 'weekday',        width: 6 },
+    { header: '공휴일',     key: 'holiday_name',   width: 16 },
+    { header: '구분',       key: 'categories',     width: 16 },
+    { header: '휴가종류',   key: 'leave_type',     width: 10 },
+    { header: '출근',       key: 'clock_in',       width: 8 },
+    { header: '퇴근',       key: 'clock_out',      width: 8 },
+    { header: '휴게(분)',   key: 'break_minutes',  width: 9 },
+    { header: '실근무(h)',  key: 'work_hours',     width: 10 },
+    { header: '기준(h)',    key: 'standard_hours', width: 8 },
+    { header: '야간(h)',    key: 'night_hours',    width: 8 },
+    { header: '공휴일(h)',  key: 'holiday_hours',  width: 9 },
+    { header: '시차사용(h)', key: 'flex_use_hours', width: 10 },
+    { header: '시차증감(h)', key: 'flex_delta',    width: 10 },
+    { header: '시차잔액(h)', key: 'flex_balance',  width: 10 },
+    { header: '비고',       key: 'note',           width: 30 }
+];
+
+const SUMMARY_COLUMNS = [
+    { header: '담당자코드',   key: 'manager_id',          width: 12 },
+    { header: '담당자',       key: 'manager_name',        width: 16 },
+    { header: '매장',         key: 'store_name',          width: 16 },
+    { header: '직급',         key: 'role',                width: 10 },
+    { header: '근무일수',     key: 'work_days',           width: 9 },
+    { header: '실근무(h)',    key: 'work_hours',          width: 10 },
+    { header: '휴게(분)',     key: 'break_minutes',       width: 10 },
+    { header: '야간(h)',      key: 'night_hours',         width: 9 },
+    { header: '공휴일근무(h)', key: 'holiday_hours',      width: 12 },
+    { header: '연차사용(일)', key: 'annual_leave_days',   width: 11 },
+    { header: '시차사용(h)',  key: 'flex_use_hours',      width: 11 },
+    { header: '월초잔액(h)',  key: 'opening_balance',     width: 11 },
+    { header: '월증감(h)',    key: 'month_flex_delta',    width: 10 },
+    { header: '월말잔액(h)',  key: 'closing_balance',     width: 11 }
+];
+
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+const round2 = v => Math.round((v || 0) * 100) / 100;
+const categoriesOf = e => Array.isArray(e.categories) ? e.categories : (e.category ? [e.category] : []);
+
+function toMinutes(hhmm) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || ''));
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/**
+ * 출퇴근 구간 중 야간(22:00~06:00) 시간 — 휴게 차감 전
+ * 자정 넘김(예: 18:00 ~ 02:00) 포함
+ */
+function calcNightHours(clockIn, clockOut) {
+    const start = toMinutes(clockIn);
+    let end = toMinutes(clockOut);
+    if (start === null || end === null) return 0;
+    if (end <= start) end += 24 * 60;
+    // 이틀에 걸친 야간 구간: 전날 22~06, 당일 22~익일 06
+    const windows = [[NIGHT_START_MIN - 24 * 60, NIGHT_END_MIN], [NIGHT_START_MIN, 24 * 60 + NIGHT_END_MIN]];
+    const minutes = windows.reduce((sum, [ws, we]) => sum + Math.max(0, Math.min(end, we) - Math.max(start, ws)), 0);
+    return round2(minutes / 60);
+}
+
+function daysOfMonth(month) {
+    const [y, m] = month.split('-').map(Number);
+    const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    return Array.from({ length: last }, (_, i) => `${month}-${String(i + 1).padStart(2, '0')}`);
+}
+
+/**
+ * 하루 기록 → 근무표 1행
+ */
+function summarizeDay(dayEntries, holiday) {
+    const works = dayEntries.filter(e => categoriesOf(e).includes('WORK') && e.clock_in && e.clock_out);
+    const cats = new Set();
+    let leaveType = '';
+    let breakMin = 0, workHours = 0, nightHours = 0, holidayHours = 0, flexUse = 0, flexDelta = 0, standard = null;
+    const notes = [];
+    dayEntries.forEach(e => {
+        const c = categoriesOf(e);
+        c.forEach(x => { if (CATEGORY_LABELS[x]) cats.add(CATEGORY_LABELS[x]); });
+        flexDelta += Number(e.flex_delta || 0);
+        if (c.includes('BREAK_ADJUSTMENT')) return;
+        if ((c.includes('ANNUAL_LEAVE') || c.includes('SUBSTITUTE_OFF')) && e.annual_leave_type) leaveType = LEAVE_TYPE_LABELS[e.annual_leave_type] || e.annual_leave_type;
+        if (c.includes('FLEX_USE')) flexUse += Number(e.flex_use_hours || 0);
+        if (c.includes('WORK')) {
+            breakMin += Number(e.break_minutes || 0);
+            workHours += Number(e.work_hours || 0);
+            if (e.night_hours != null) nightHours += Number(e.night_hours);
+            else if (e.clock_in && e.clock_out) nightHours += Math.min(calcNightHours(e.clock_in, e.clock_out), Number(e.work_hours || 0));
+            if (e.holiday_hours != null) holidayHours += Number(e.holiday_hours);
+            else if (holiday) holidayHours += Number(e.work_hours || 0);
+        }
+        if (e.standard_hours != null && !c.includes('FLEX_ADJUSTMENT')) standard = Number(e.standard_hours);
+        if (e.note) notes.push(String(e.note));
+    });
+    const ins = works.map(e => e.clock_in).sort();
+    const outs = works.map(e => e.clock_out).sort();
+    return {
+        categories: [...cats].join(', '),
+        leave_type: leaveType,
+        clock_in: ins[0] || '',
+        clock_out: outs[outs.length - 1] || '',
+        break_minutes: breakMin,
+        work_hours: round2(workHours),
+        standard_hours: standard,
+        night_hours: round2(nightHours),
+        holiday_hours: round2(holidayHours),
+        flex_use_hours: round2(flexUse),
+        flex_delta: round2(flexDelta),
+        note: [...new Set(notes)].join(' / '),
+        worked: workHours > 0
+    };
+}
+
+/**
+ * 월간 근무표 데이터
+ * @param {object} params
+ *   - month: 'YYYY-MM'
+ *   - managers: [{ manager_id, manager_name, store_name, role }] (근무표에 포함할 담당자)
+ *   - entries: 해당 월 workHours 기록 (전체 담당자)
+ *   - openingBalances: Map(manager_id → 월초 시차 잔액)
+ *   - holidays: Map(date → { name })
+ * @returns {object} { rows, summary }
+ */
+function buildTimesheet({ month, managers, entries, openingBalances = new Map(), holidays = new Map() }) {
+    const byManagerDate = new Map();
+    entries.forEach(e => {
+        const k = `${e.manager_id}|${e.work_date}`;
+        if (!byManagerDate.has(k)) byManagerDate.set(k, []);
+        byManagerDate.get(k).push(e);
+    });
+
+    const dates = daysOfMonth(month);
+    const rows = [];
+    const summary = [];
+    managers.forEach(m => {
+        const opening = round2(openingBalances.get(m.manager_id) || 0);
+        let balance = opening;
+        const total = { work_days: 0, work_hours: 0, break_minutes: 0, night_hours: 0, holiday_hours: 0, annual_leave_days: 0, flex_use_hours: 0, month_flex_delta: 0 };
+        dates.forEach(date => {
+            const dayEntries = byManagerDate.get(`${m.manager_id}|${date}`) || [];
+            const holiday = holidays.get(date) || null;
+            const day = dayEntries.length > 0 ? summarizeDay(dayEntries, holiday) : null;
+            if (day) {
+                balance = round2(balance + day.flex_delta);
+                if (day.worked) total.work_days++;
+                total.work_hours += day.work_hours;
+                total.break_minutes += day.break_minutes;
+                total.night_hours += day.night_hours;
+                total.holiday_hours += day.holiday_hours;
+                total.flex_use_hours += day.flex_use_hours;
+                total.month_flex_delta += day.flex_delta;
+                dayEntries.forEach(e => {
+                    if (!categoriesOf(e).includes('ANNUAL_LEAVE')) return;
+                    total.annual_leave_days += (e.annual_leave_type === 'HALF_AM' || e.annual_leave_type === 'HALF_PM') ? 0.5 : 1;
+                });
+            }
+            rows.push({
+                manager_id: m.manager_id,
+                manager_name: m.manager_name,
+                store_name: m.store_name,
+                work_date: date,
+                weekday: WEEKDAY_LABELS[new Date(`${date}T00:00:00Z`).getUTCDay()],
+                holiday_name: holiday ? holiday.name : '',
+                ...(day || { categories: '', leave_type: '', clock_in: '', clock_out: '', break_minutes: null, work_hours: null, standard_hours: null, night_hours: null, holiday_hours: null, flex_use_hours: null, flex_delta: null, note: '' }),
+                flex_balance: balance
+            });
+        });
+        summary.push({
+            manager_id: m.manager_id,
+            manager_name: m.manager_name,
+            store_name: m.store_name,
+            role: m.role || '',
+            work_days: total.work_days,
+            work_hours: round2(total.work_hours),
+            break_minutes: total.break_minutes,
+            night_hours: round2(total.night_hours),
+            holiday_hours: round2(total.holiday_hours),
+            annual_leave_days: total.annual_leave_days,
+            flex_use_hours: round2(total.flex_use_hours),
+            opening_balance: opening,
+            month_flex_delta: round2(total.month_flex_delta),
+            closing_balance: balance
+        });
+    });
+    rows.forEach(r => { delete r.worked; });
+    return { rows, summary };
+}
+
+/**
+ * 근무표 → ExcelJS 워크북 (요약 시트 + 일별 시트)
+ */
+function buildTimesheetWorkbook({ month, rows, summary }) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'offOrder';
+    workbook.created = new Date();
+
+    const addSheet = (name, columns, data) => {
+        const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: c.width }));
+        sheet.getRow(1).font = { bold: true };
+        data.forEach(r => sheet.addRow(r));
+        // 담당자코드는 앞자리 0 유지
+        sheet.getColumn('manager_id').numFmt = '@';
+        return sheet;
+    };
+    addSheet(`${month} 요약`, SUMMARY_COLUMNS, summary);
+    addSheet(`${month} 일별`, DAILY_COLUMNS, rows);
+    return workbook;
+}
+
+module.exports = { CATEGORY_LABELS, LEAVE_TYPE_LABELS, calcNightHours, buildTimesheet, buildTimesheetWorkbook };
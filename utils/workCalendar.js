@@ -0,0 +1,124 @@
+// utils/workCalendar.js
+// 근무 정책 캘린더 — 날짜·담당자별 기준 근무시간 계산 (시차 flex_delta 의 기준값)
+// - 우선순위: 날짜 지정값(date_overrides) > 공휴일(holiday_hours) > 담당자 계약시간(standard_hours) > 요일별 기준(weekday_hours)
+// - 시차 소멸 규칙(flex_expiry_months / flex_debt_clear)도 같은 정책 문서에 저장 → utils/flexLedger.js
+// - 공휴일 목록은 KOREAN_HOLIDAYS.json (대체공휴일·임시공휴일 포함, 매년 수동 갱신)
+// - 정책 저장/캐시는 index.js [7-3] 에서 처리, 여기는 순수 함수만
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+// 기본 정책 — 기존 동작(요일 무관 8h)과 동일, 공휴일도 별도 지정 전까지는 요일 기준
+const DEFAULT_WORK_POLICY = {
+    weekday_hours: [8, 8, 8, 8, 8, 8, 8],   // 0 = 일요일
+    holiday_hours: null,                    // null = 공휴일도 평일과 같은 기준 (매장 영업일)
+    date_overrides: {},                     // { 'YYYY-MM-DD': hours } — 매장 전체 단축근무일 등
+    flex_expiry_months: null,               // 적립 시차 소멸 기간(개월) — null = 소멸 없음
+    flex_debt_clear: null                   // 마이너스 시차 정산 주기 MONTH/QUARTER/HALF/YEAR — null = 이월
+};
+
+const FLEX_DEBT_CLEAR_CYCLES = ['MONTH', 'QUARTER', 'HALF', 'YEAR'];
+
+const isEmpty = v => v === undefined || v === null || v === '';
+
+function toHours(v, label) {
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0 || n > 24) return { error: `${label}은(는) 0~24 사이 숫자여야 합니다.` };
+    return { value: n };
+}
+
+/**
+ * 공휴일 목록 → Map(date → { date, name, substitute, temporary })
+ */
+function buildHolidayMap(list) {
+    const map = new Map();
+    (Array.isArray(list) ? list : []).forEach(h => {
+        if (h && DATE_RE.test(h.date || '')) map.set(h.date, { substitute: false, temporary: false, ...h });
+    });
+    return map;
+}
+
+/**
+ * 정책 입력 검증 (PUT 용 — 들어온 항목만 덮어씀)
+ * @param {object} input - { weekday_hours, holiday_hours, date_overrides, flex_expiry_months, flex_debt_clear }
+ * @param {object} base - 현재 정책
+ * @returns {object} { value } | { error }
+ */
+function normalizeWorkPolicy(input, base = DEFAULT_WORK_POLICY) {
+    if (!input || typeof input !== 'object') return { error: '근무 정책 정보가 올바르지 않습니다.' };
+    const value = {
+        weekday_hours: [...base.weekday_hours],
+        holiday_hours: base.holiday_hours,
+        date_overrides: { ...base.date_overrides },
+        flex_expiry_months: base.flex_expiry_months ?? null,
+        flex_debt_clear: base.flex_debt_clear ?? null
+    };
+
+    if (input.weekday_hours !== undefined) {
+        const wh = input.weekday_hours;
+        if (!Array.isArray(wh) || wh.length !== 7) return { error: '요일별 기준시간(weekday_hours)은 일~토 7개 숫자 배열이어야 합니다.' };
+        for (let i = 0; i < 7; i++) {
+            const r = toHours(wh[i], `${WEEKDAY_LABELS[i]}요일 기준시간`);
+            if (r.error) return r;
+            value.weekday_hours[i] = r.value;
+        }
+    }
+    if (input.holiday_hours !== undefined) {
+        if (isEmpty(input.holiday_hours)) value.holiday_hours = null;
+        else {
+            const r = toHours(input.holiday_hours, '공휴일 기준시간');
+            if (r.error) return r;
+            value.holiday_hours = r.value;
+        }
+    }
+    if (input.date_overrides !== undefined) {
+        if (!input.date_overrides || typeof input.date_overrides !== 'object' || Array.isArray(input.date_overrides)) {
+            return { error: '날짜별 기준시간(date_overrides)은 { "YYYY-MM-DD": 시간 } 형식이어야 합니다.' };
+        }
+        // null/빈 값은 해당 날짜 지정 해제
+        for (const [date, hours] of Object.entries(input.date_overrides)) {
+            if (!DATE_RE.test(date)) return { error: `날짜 형식 오류: ${date} (YYYY-MM-DD)` };
+            if (isEmpty(hours)) { delete value.date_overrides[date]; continue; }
+            const r = toHours(hours, `${date} 기준시간`);
+            if (r.error) return r;
+            value.date_overrides[date] = r.value;
+        }
+    }
+    if (input.flex_expiry_months !== undefined) {
+        if (isEmpty(input.flex_expiry_months)) value.flex_expiry_months = null;
+        else {
+            const n = Number(input.flex_expiry_months);
+            if (!Number.isInteger(n) || n < 1 || n > 36) return { error: '시차 소멸 기간(flex_expiry_months)은 1~36 사이 정수(개월)여야 합니다.' };
+            value.flex_expiry_months = n;
+        }
+    }
+    if (input.flex_debt_clear !== undefined) {
+        if (isEmpty(input.flex_debt_clear)) value.flex_debt_clear = null;
+        else {
+            if (!FLEX_DEBT_CLEAR_CYCLES.includes(input.flex_debt_clear)) return { error: `마이너스 시차 정산 주기(flex_debt_clear)는 ${FLEX_DEBT_CLEAR_CYCLES.join(' / ')} 중 하나여야 합니다.` };
+            value.flex_debt_clear = input.flex_debt_clear;
+        }
+    }
+    return { value };
+}
+
+/**
+ * 기준 근무시간 계산
+ * @param {string} dateStr - 'YYYY-MM-DD'
+ * @param {object} options - { policy, holidays(Map), contractHours(담당자 계약시간, 없으면 null) }
+ * @returns {object} { hours, source: 'override'|'holiday'|'contract'|'weekday', holiday: {name,...}|null }
+ */
+function resolveStandardHours(dateStr, { policy = DEFAULT_WORK_POLICY, holidays = new Map(), contractHours = null } = {}) {
+    const holiday = holidays.get(dateStr) || null;
+    const overrides = policy.date_overrides || {};
+    if (overrides[dateStr] !== undefined) return { hours: Number(overrides[dateStr]), source: 'override', holiday };
+    if (holiday && policy.holiday_hours !== null && policy.holiday_hours !== undefined) {
+        return { hours: Number(policy.holiday_hours), source: 'holiday', holiday };
+    }
+    if (contractHours !== null && contractHours !== undefined) return { hours: Number(contractHours), source: 'contract', holiday };
+    const dow = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+    const weekday = (policy.weekday_hours || DEFAULT_WORK_POLICY.weekday_hours)[dow];
+    return { hours: Number.isFinite(Number(weekday)) ? Number(weekday) : 8, source: 'weekday', holiday };
+}
+
+module.exports = { DEFAULT_WORK_POLICY, buildHolidayMap, normalizeWorkPolicy, resolveStandardHours };
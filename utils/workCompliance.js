@@ -0,0 +1,117 @@
+// utils/workCompliance.js
+// 근로시간 준수 점검 — 주 52시간 / 주휴일 / 연속 근무일
+// - 주 단위는 월요일 ~ 일요일
+// - 휴무일 점검은 지난 주(일요일이 오늘 이전)만 — 실제로 근무하지 않은 날 기준 (WEEKLY_OFF 기록 여부와 무관)
+// - 근무시간은 recomputeDailyFlex 가 계산한 work_hours (휴게 차감 후 실근무) 합계
+// - 순수 함수만 — 조회 범위/저장 후 호출은 index.js [7-3] 에서 처리
+
+const WEEKLY_HOURS_LIMIT = 52;     // 법정 40h + 연장 12h
+const WEEKLY_REGULAR_HOURS = 40;
+const MAX_CONSECUTIVE_DAYS = 6;    // 7일 이상 연속 근무 시 위반
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDate = s => new Date(`${s}T00:00:00Z`);
+const toStr = d => d.toISOString().slice(0, 10);
+
+function addDays(dateStr, days) {
+    return toStr(new Date(toDate(dateStr).getTime() + days * DAY_MS));
+}
+
+// 해당 날짜가 속한 주의 월요일
+function weekStartOf(dateStr) {
+    const dow = toDate(dateStr).getUTCDay();   // 0 = 일요일
+    return addDays(dateStr, dow === 0 ? -6 : 1 - dow);
+}
+
+const categoriesOf = e => Array.isArray(e.categories) ? e.categories : (e.category ? [e.category] : []);
+
+/**
+ * 기록 → 날짜별 요약 Map(date → { work_hours, worked, weekly_off })
+ */
+function summarizeDays(entries) {
+    const days = new Map();
+    entries.forEach(e => {
+        if (!e.work_date) return;
+        const cats = categoriesOf(e);
+        const day = days.get(e.work_date) || { work_hours: 0, worked: false, weekly_off: false };
+        if (cats.includes('WORK')) {
+            day.work_hours += Number(e.work_hours || 0);
+            day.worked = day.worked || Number(e.work_hours || 0) > 0 || !!(e.clock_in && e.clock_out);
+        }
+        if (cats.includes('WEEKLY_OFF')) day.weekly_off = true;
+        days.set(e.work_date, day);
+    });
+    return days;
+}
+
+/**
+ * 담당자 1명 점검
+ * @param {Array} entries - 해당 담당자의 workHours 기록
+ * @param {object} range - { from, to } 'YYYY-MM-DD' — 이 기간과 겹치는 주/연속근무만 보고, today = 오늘 (KST)
+ * @returns {object} { weeks, streaks, violations }
+ */
+function checkManagerCompliance(entries, { from, to, today }) {
+    const days = summarizeDays(entries);
+    const weeks = [];
+    for (let ws = weekStartOf(from); ws <= to; ws = addDays(ws, 7)) {
+        let hours = 0, workDays = 0, weeklyOff = 0;
+        for (let i = 0; i < 7; i++) {
+            const d = days.get(addDays(ws, i));
+            if (!d) continue;
+            hours += d.work_hours;
+            if (d.worked) workDays++;
+            if (d.weekly_off) weeklyOff++;
+        }
+        const work_hours = Math.round(hours * 100) / 100;
+        const weekEnd = addDays(ws, 6);
+        const completed = weekEnd < today;   // 진행 중인 주는 남은 날에 쉴 수 있으므로 휴무 판정 보류
+        weeks.push({
+            week_start: ws,
+            week_end: weekEnd,
+            completed,
+            work_hours,
+            overtime_hours: Math.max(0, Math.round((work_hours - WEEKLY_REGULAR_HOURS) * 100) / 100),
+            work_days: workDays,
+            weekly_off_days: weeklyOff,
+            over_limit: work_hours > WEEKLY_HOURS_LIMIT,
+            no_rest_day: completed && workDays >= 7                  // 쉬는 날 없이 7일 근무
+        });
+    }
+
+    // 연속 근무 (기간 앞뒤로 이어진 연속도 포함해서 계산)
+    const workedDates = [...days.entries()].filter(([, d]) => d.worked).map(([date]) => date).sort();
+    const streaks = [];
+    let start = null, prev = null;
+    const flush = () => {
+        if (!start) return;
+        const length = Math.round((toDate(prev) - toDate(start)) / DAY_MS) + 1;
+        if (length > MAX_CONSECUTIVE_DAYS && prev >= from && start <= to) streaks.push({ start, end: prev, days: length });
+    };
+    workedDates.forEach(d => {
+        if (prev && addDays(prev, 1) === d) { prev = d; return; }
+        flush();
+        start = d; prev = d;
+    });
+    flush();
+
+    const violations = [];
+    weeks.forEach(w => {
+        if (w.over_limit) violations.push({ type: 'WEEKLY_52H', week_start: w.week_start, message: `${w.week_start} 주 근무 ${w.work_hours}h — 주 ${WEEKLY_HOURS_LIMIT}시간 초과` });
+        if (w.no_rest_day) violations.push({ type: 'NO_REST_DAY', week_start: w.week_start, message: `${w.week_start} 주 휴무일 없이 7일 근무` });
+    });
+    streaks.forEach(s => violations.push({ type: 'CONSECUTIVE_DAYS', start: s.start, end: s.end, message: `${s.start} ~ ${s.end} ${s.days}일 연속 근무` }));
+
+    return { weeks, streaks, violations };
+}
+
+/**
+ * 점검 시 조회해야 하는 기록 범위 — 주 단위 + 연속근무 판단용 앞뒤 여유
+ */
+function complianceQueryRange(from, to) {
+    return { from: addDays(weekStartOf(from), -MAX_CONSECUTIVE_DAYS), to: addDays(addDays(weekStartOf(to), 6), MAX_CONSECUTIVE_DAYS) };
+}
+
+module.exports = {
+    WEEKLY_HOURS_LIMIT, MAX_CONSECUTIVE_DAYS,
+    weekStartOf, addDays, checkManagerCompliance, complianceQueryRange
+};
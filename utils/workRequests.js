@@ -0,0 +1,83 @@
+// utils/workRequests.js
+// 시차사용 / 연차 신청 — 신청(REQUESTED) → 승인(APPROVED) / 반려(REJECTED) / 취소(CANCELLED)
+// - 승인 전에는 workHours 에 기록되지 않으므로 시차 잔액(computeFlexBalance)에 영향 없음
+// - 승인 시 index.js 가 workHours 기록을 만들고 request_id 로 연결
+// - 모든 상태 변경은 log 배열에 { action, actor, at, note } 로 남김
+
+const REQUEST_STATUS = {
+    REQUESTED: 'REQUESTED',
+    APPROVED:  'APPROVED',
+    REJECTED:  'REJECTED',
+    CANCELLED: 'CANCELLED'
+};
+
+const { REQUESTED, APPROVED, REJECTED, CANCELLED } = REQUEST_STATUS;
+
+// 신청 가능한 근무 카테고리
+const REQUEST_TYPES = {
+    FLEX_USE:     '시차사용',
+    ANNUAL_LEAVE: '연차'
+};
+
+// 허용 전이: from → [to]
+//   승인 후 취소 = 연결된 근무 기록 삭제 (근무 기록 삭제 시에도 자동 취소)
+const REQUEST_TRANSITIONS = {
+    [REQUESTED]: [APPROVED, REJECTED, CANCELLED],
+    [APPROVED]:  [CANCELLED],
+    [REJECTED]:  [],
+    [CANCELLED]: []
+};
+
+function canTransitionRequest(from, to) {
+    return (REQUEST_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * 신청 입력 검증
+ * @returns {object} { value } | { error }
+ */
+function validateWorkRequest(body) {
+    if (!body || typeof body !== 'object') return { error: '신청 정보가 올바르지 않습니다.' };
+    const { request_type, manager_id, work_date, flex_use_hours, flex_use_position, annual_leave_type, reason } = body;
+    if (!REQUEST_TYPES[request_type]) return { error: `신청 종류(request_type)는 ${Object.keys(REQUEST_TYPES).join(' / ')} 중 하나여야 합니다.` };
+    if (!manager_id) return { error: 'manager_id 필수' };
+    if (!work_date || !/^\d{4}-\d{2}-\d{2}$/.test(work_date)) return { error: 'work_date(YYYY-MM-DD) 필수' };
+    const reasonText = String(reason || '').trim();
+    if (!reasonText) return { error: '신청 사유(reason)를 입력해주세요.' };
+    if (reasonText.length > 500) return { error: '신청 사유는 500자 이하로 입력해주세요.' };
+
+    const value = { request_type, manager_id: String(manager_id), work_date, reason: reasonText };
+    if (request_type === 'FLEX_USE') {
+        const hours = Number(flex_use_hours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > 24) return { error: '시차 사용 시간(flex_use_hours)은 0보다 크고 24 이하여야 합니다.' };
+        value.flex_use_hours = hours;
+        value.flex_use_position = flex_use_position === 'FRONT' ? 'FRONT' : 'BACK';
+    } else {
+        value.annual_leave_type = ['HALF_AM', 'HALF_PM'].includes(annual_leave_type) ? annual_leave_type : 'FULL';
+    }
+    return { value };
+}
+
+// 신청 → buildScheduleDoc 입력
+function toScheduleInput(request) {
+    return {
+        manager_id: request.manager_id,
+        manager_name: request.manager_name,
+        store_name: request.store_name,
+        work_date: request.work_date,
+        categories: [request.request_type],
+        flex_use_hours: request.flex_use_hours,
+        flex_use_position: request.flex_use_position,
+        annual_leave_type: request.annual_leave_type,
+        note: `[신청 승인] ${request.reason}`
+    };
+}
+
+function requestLogEntry(action, actor, note = null) {
+    return { action, actor, note, at: new Date() };
+}
+
+module.exports = {
+    REQUEST_STATUS, REQUEST_TYPES,
+    canTransitionRequest, validateWorkRequest, toScheduleInput, requestLogEntry
+};